@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// scripts/generate-openapi.mjs
+// Writes the OpenAPI document generated from the route schemas.
+// Usage: node scripts/generate-openapi.mjs [outFile, default openapi.json]
+
+import fs from 'fs';
+import '../src/app.js';
+import { buildOpenApiDocument } from '../src/openapi.js';
+
+const out = process.argv[2] || 'openapi.json';
+const doc = buildOpenApiDocument();
+fs.writeFileSync(out, `${JSON.stringify(doc, null, 2)}\n`);
+console.log(`OpenAPI document with ${Object.keys(doc.paths).length} paths written to ${out}`);
+process.exit(0);
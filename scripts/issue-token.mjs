@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// scripts/issue-token.mjs
+// Signs a user token with AUTH_JWT_SECRET, for local development and manual testing.
+// Usage: node scripts/issue-token.mjs <userId> [expiresIn, default 7d]
+
+import 'dotenv/config';
+import { signToken } from '../src/middleware/auth.js';
+
+const [userId, expiresIn = '7d'] = process.argv.slice(2);
+if (!userId) {
+  console.error('Usage: node scripts/issue-token.mjs <userId> [expiresIn]');
+  process.exit(1);
+}
+
+try {
+  console.log(signToken(userId, { expiresIn }));
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
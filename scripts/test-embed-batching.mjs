@@ -0,0 +1,69 @@
+// scripts/test-embed-batching.mjs
+// Checks embedding batching, retries and per-batch error reporting against a local fake Jina server.
+// Usage: node scripts/test-embed-batching.mjs
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const requests = [];
+let failures = {}; // first input text -> remaining failures (Infinity = always fail)
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => (body += c));
+  req.on('end', () => {
+    const { input } = JSON.parse(body);
+    requests.push(input);
+    const left = failures[input[0]];
+    if (left) {
+      failures[input[0]] = left - 1;
+      res.writeHead(left === Infinity ? 500 : 429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+      return res.end(JSON.stringify({ detail: 'slow down' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: input.map((t) => ({ embedding: [t.length, 1, 0, 0] })) }));
+  });
+});
+
+async function run() {
+  await new Promise((r) => server.listen(0, r));
+  process.env.EMBED_PROVIDER = 'jina';
+  process.env.JINA_API_KEY = 'test-key';
+  process.env.JINA_API_URL = `http://127.0.0.1:${server.address().port}/v1/embeddings`;
+  process.env.EMBED_DIM = '4';
+  process.env.EMBED_BATCH_SIZE = '3';
+  process.env.EMBED_BATCH_MAX_CHARS = '10';
+  process.env.EMBED_MAX_RETRIES = '2';
+  process.env.EMBED_RETRY_BASE_MS = '1';
+  process.env.EMBED_FALLBACK_TO_STUB = 'false';
+  const { embedTexts, embedTextsDetailed, EmbeddingError } = await import('../src/services/embeddings.js');
+
+  // batches by count (3) and by characters (10); order of vectors is preserved
+  const texts = ['a', 'bb', 'ccc', 'dddd', 'eeeeeeeeeeee', 'f'];
+  const vectors = await embedTexts(texts);
+  assert.deepEqual(vectors.map((v) => v[0]), [1, 2, 3, 4, 12, 1]);
+  assert.deepEqual(requests, [['a', 'bb', 'ccc'], ['dddd'], ['eeeeeeeeeeee'], ['f']]);
+
+  // 429 with Retry-After is retried
+  requests.length = 0;
+  failures = { x: 2 };
+  let r = await embedTextsDetailed(['x', 'y']);
+  assert.equal(r.errors.length, 0);
+  assert.equal(r.batches[0].attempts, 3);
+  assert.equal(requests.length, 3);
+
+  // a batch that keeps failing is reported; the other batches still succeed
+  failures = { bad: Infinity };
+  r = await embedTextsDetailed(['ok1', 'ok2', 'ok3', 'bad', 'ok4']);
+  assert.equal(r.errors.length, 1);
+  assert.equal(r.errors[0].start, 3);
+  assert.equal(r.errors[0].attempts, 3);
+  assert.match(r.errors[0].error, /HTTP 500/);
+  assert.deepEqual(r.vectors.map((v) => (v ? v[0] : null)), [3, 3, 3, null, null]);
+  await assert.rejects(embedTexts(['bad']), (err) => err instanceof EmbeddingError && err.batches.length === 1);
+
+  console.log('embedding batching: all assertions passed');
+}
+
+run()
+  .catch((err) => { console.error(err); process.exitCode = 1; })
+  .finally(() => server.close());
@@ -0,0 +1,38 @@
+// scripts/test-extract.mjs
+// Runs the article extractor against saved HTML fixtures (no network).
+// Usage: node scripts/test-extract.mjs
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { extractArticle } from '../src/ingest/extract_article.mjs';
+
+async function run() {
+  const html = await fs.readFile(new URL('./fixtures/article-news.html', import.meta.url), 'utf8');
+  const a = extractArticle(html, 'https://example.com/news/assam-floods');
+
+  assert.equal(a.title, 'Monsoon floods displace thousands in Assam');
+  assert.equal(a.byline, 'Priya Sharma');
+  assert.equal(a.publishedAt, '2025-09-17T03:00:00.000Z');
+  assert.deepEqual(a.paragraphs, [
+    'Heavy monsoon rains have displaced more than 40,000 people across six districts of Assam, officials said on Wednesday.',
+    'The Brahmaputra crossed the danger mark at Dibrugarh and Neamatighat, according to the Central Water Commission.',
+    'Relief camps opened',
+    'The state disaster management authority has opened 120 relief camps and deployed boats to evacuate stranded villagers.',
+  ]);
+  for (const junk of ['cookies', 'Advertisement', 'Share on', 'Related:', 'Copyright', 'Home']) {
+    assert.ok(!a.text.includes(junk), `boilerplate leaked into text: ${junk}`);
+  }
+  assert.ok(a.text.startsWith('Monsoon floods displace thousands in Assam\n\nBy Priya Sharma\n\n'));
+
+  // no semantic container: falls back to the densest block of paragraphs
+  const bare = extractArticle(
+    '<html><body><div class="menu"><p>Home | World | Sports | Business | Technology | Opinion</p></div>' +
+      '<div id="story"><p>First paragraph of a page without article or main elements in it.</p>' +
+      '<p>Second paragraph of that page, which should also be kept by the extractor.</p></div></body></html>'
+  );
+  assert.equal(bare.paragraphs.length, 2);
+  assert.equal(bare.title, null);
+
+  console.log('extract_article: all assertions passed');
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
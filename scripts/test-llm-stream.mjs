@@ -0,0 +1,165 @@
+// scripts/test-llm-stream.mjs
+// Checks the LLM providers' streaming parsers against a local fake server (no network).
+// Usage: node scripts/test-llm-stream.mjs
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const sse = (obj) => `data: ${typeof obj === 'string' ? obj : JSON.stringify(obj)}\r\n\r\n`;
+const delta = (text) => ({ candidates: [{ content: { parts: [{ text }], role: 'model' } }] });
+
+let streamMode = 'ok';
+let generateCalls = 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => (body += c));
+  req.on('end', async () => {
+    // --- Gemini ---
+    if (req.url.includes(':streamGenerateContent')) {
+      assert.ok(req.url.includes('alt=sse'));
+      if (streamMode === 'fail') {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { code: 503, message: 'overloaded' } }));
+      }
+      if (streamMode === 'reject') {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { code: 403, message: 'API key not valid' } }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      // split one event across two writes to exercise buffering
+      const first = sse(delta('Hello'));
+      res.write(first.slice(0, 10));
+      await new Promise((r) => setTimeout(r, 20));
+      res.write(first.slice(10));
+      res.write(sse(delta(', world')));
+      res.write(sse({ ...delta('!'), usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, totalTokenCount: 8 } }));
+      return res.end();
+    }
+    if (req.url.includes(':generateContent')) {
+      generateCalls += 1;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(delta('fallback answer')));
+    }
+    // --- OpenAI-compatible ---
+    if (req.url === '/v1/chat/completions') {
+      assert.equal(JSON.parse(body).stream, true);
+      if (streamMode === 'fail') {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'rate limited' } }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (streamMode === 'hang') {
+        // one delta, then nothing until the client gives up
+        res.write(sse({ choices: [{ delta: { content: 'Open' } }] }));
+        req.on('close', () => res.end());
+        return;
+      }
+      res.write(sse({ choices: [{ delta: { role: 'assistant' } }] }));
+      res.write(sse({ choices: [{ delta: { content: 'Open' } }] }));
+      res.write(sse({ choices: [{ delta: { content: 'AI' }, finish_reason: 'stop' }] }));
+      res.write(sse({ choices: [], usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 } }));
+      res.write(sse('[DONE]'));
+      return res.end();
+    }
+    // --- Ollama ---
+    if (req.url === '/api/chat') {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(JSON.stringify({ message: { role: 'assistant', content: 'Lla' }, done: false }) + '\n');
+      res.write(JSON.stringify({ message: { role: 'assistant', content: 'ma' }, done: false }) + '\n');
+      res.write(JSON.stringify({ message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 7, eval_count: 2 }) + '\n');
+      return res.end();
+    }
+    res.writeHead(404).end();
+  });
+});
+
+async function collect(generateStream, opts = {}) {
+  const chunks = [];
+  const result = await generateStream('hi', opts, (c) => chunks.push(c));
+  return { chunks, result };
+}
+
+async function run() {
+  await new Promise((r) => server.listen(0, r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.GEMINI_API_BASE = `${base}/v1beta`;
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.OPENAI_API_BASE = `${base}/v1`;
+  process.env.OLLAMA_BASE_URL = base;
+  process.env.LLM_STUB_ENABLED = 'false';
+  const { generateStream, LlmError } = await import('../src/services/llmClient.js');
+
+  // gemini: real streaming, deltas forwarded as they arrive
+  process.env.LLM_PROVIDER = 'gemini';
+  let r = await collect(generateStream);
+  assert.deepEqual(r.chunks, ['Hello', ', world', '!']);
+  assert.equal(r.result.streamed, true);
+  assert.deepEqual(r.result.usage, { promptTokens: 5, completionTokens: 3, totalTokens: 8 });
+
+  // gemini: streaming endpoint down before any delta -> falls back to generateContent
+  streamMode = 'fail';
+  r = await collect(generateStream, { delayMs: 0 });
+  assert.equal(r.chunks.join(''), 'fallback answer');
+  assert.equal(r.result.streamed, false);
+
+  // gemini: a client error is not retried without streaming
+  streamMode = 'reject';
+  generateCalls = 0;
+  await assert.rejects(collect(generateStream), (err) => err instanceof LlmError && err.status === 403 && !err.retryable);
+  assert.equal(generateCalls, 0);
+  streamMode = 'fail';
+
+  // openai-compatible: errors are normalized
+  process.env.LLM_PROVIDER = 'openai';
+  await assert.rejects(collect(generateStream), (err) => err instanceof LlmError && err.status === 429 && err.retryable);
+  streamMode = 'ok';
+  r = await collect(generateStream);
+  assert.deepEqual(r.chunks, ['Open', 'AI']);
+  assert.deepEqual(r.result.usage, { promptTokens: 4, completionTokens: 2, totalTokens: 6 });
+  assert.equal(r.result.finishReason, 'stop');
+
+  // openai-compatible: aborting mid-stream ends the call with an aborted LlmError
+  streamMode = 'hang';
+  const controller = new AbortController();
+  const chunks = [];
+  await assert.rejects(
+    generateStream('hi', { signal: controller.signal }, (c) => {
+      chunks.push(c);
+      controller.abort();
+    }),
+    (err) => err instanceof LlmError && err.aborted && !err.retryable
+  );
+  assert.deepEqual(chunks, ['Open']);
+  streamMode = 'ok';
+
+  // ollama: NDJSON stream
+  process.env.LLM_PROVIDER = 'ollama';
+  r = await collect(generateStream);
+  assert.deepEqual(r.chunks, ['Lla', 'ma']);
+  assert.deepEqual(r.result.usage, { promptTokens: 7, completionTokens: 2, totalTokens: 9 });
+
+  // stub: first-class provider, deterministic output
+  process.env.LLM_PROVIDER = 'stub';
+  r = await collect(generateStream, { delayMs: 0, chunkSize: 50 });
+  assert.equal(r.result.provider, 'stub');
+  assert.ok(r.chunks.join('').startsWith('STUB RESPONSE'));
+  assert.ok(r.result.usage.totalTokens > 0);
+
+  // stub: honours the signal between chunks
+  const stop = new AbortController();
+  const stubChunks = [];
+  await assert.rejects(
+    generateStream('hi', { delayMs: 0, chunkSize: 5, signal: stop.signal }, (c) => {
+      stubChunks.push(c);
+      if (stubChunks.length === 2) stop.abort();
+    }),
+    (err) => err instanceof LlmError && err.aborted
+  );
+  assert.equal(stubChunks.length, 2);
+
+  console.log('llm providers streaming: all assertions passed');
+}
+
+run()
+  .catch((err) => { console.error(err); process.exitCode = 1; })
+  .finally(() => server.close());
@@ -0,0 +1,368 @@
+// scripts/test-openapi.mjs
+// Drift check between the handlers and the API description: calls every registered
+// route (sessionStore on an in-memory Redis, documents and runs kept in memory
+// instead of Postgres, Qdrant answering with one fixed chunk, stub LLM) and asserts that each response status is declared and each body — JSON or SSE
+// frames — matches its response schema. Also checks that /openapi.json lists
+// exactly the registered routes.
+// Usage: node scripts/test-openapi.mjs
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import Redis from 'ioredis';
+
+delete process.env.DATABASE_URL;
+delete process.env.INGEST_CRON;
+process.env.AUTH_REQUIRED = 'true';
+process.env.AUTH_JWT_SECRET = 'test-openapi-secret';
+process.env.AUTH_API_KEYS = 'ingest-bot:test-openapi-key';
+process.env.LLM_STUB_ENABLED = 'true';
+process.env.QUERY_REWRITE_ENABLED = 'false';
+process.env.RERANK_STRATEGY = 'none';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.SSE_HEARTBEAT_MS = '0';
+
+/* ----------------- in-memory backends ----------------- */
+
+// the ioredis commands sessionStore uses, over maps; only sessionStore gets a
+// client (REDIS_URL is set for its import alone), the other services run without Redis
+const hashes = new Map();
+const lists = new Map();
+const zsets = new Map();
+let failMetaReads = false; // a Redis hiccup while session meta is looked up
+// LRANGE / LTRIM index rules: inclusive, negative from the end
+const range = (items, start, stop) =>
+  items.slice(start < 0 ? Math.max(items.length + start, 0) : start, stop < 0 ? items.length + stop + 1 : stop + 1);
+const fakeRedis = {
+  async connect() {},
+  async expire() { return 1; },
+  async exists(key) { return hashes.has(key) || lists.has(key) ? 1 : 0; },
+  async del(key) { return Number(hashes.delete(key) || lists.delete(key) || zsets.delete(key)); },
+  async hset(key, field, value) {
+    const hash = hashes.get(key) || {};
+    const fields = typeof field === 'object' ? field : { [field]: value };
+    for (const [f, v] of Object.entries(fields)) hash[f] = String(v);
+    hashes.set(key, hash);
+  },
+  async hget(key, field) { return hashes.get(key)?.[field] ?? null; },
+  async hmget(key, ...fields) { return fields.map((f) => hashes.get(key)?.[f] ?? null); },
+  async hsetnx(key, field, value) {
+    if (hashes.get(key)?.[field] !== undefined) return 0;
+    await fakeRedis.hset(key, field, value);
+    return 1;
+  },
+  async hgetall(key) {
+    if (failMetaReads) throw new Error('connection lost');
+    return { ...hashes.get(key) };
+  },
+  async hincrby(key, field, n) {
+    const hash = hashes.get(key) || {};
+    hash[field] = String(Number(hash[field] || 0) + n);
+    hashes.set(key, hash);
+  },
+  async rpush(key, ...values) { lists.set(key, [...(lists.get(key) || []), ...values]); },
+  async ltrim(key, start, stop) { if (lists.has(key)) lists.set(key, range(lists.get(key), start, stop)); },
+  async lrange(key, start, stop) { return range(lists.get(key) || [], start, stop); },
+  async zadd(key, score, member) { zsets.set(key, (zsets.get(key) || new Map()).set(member, Number(score))); },
+  async zrem(key, member) { return Number(zsets.get(key)?.delete(member) || 0); },
+  async zrevrange(key, start, stop) {
+    const members = [...(zsets.get(key) || [])].sort((a, b) => b[1] - a[1]).map(([m]) => m);
+    return range(members, start, stop);
+  },
+  pipeline() {
+    const queued = [];
+    const pipe = { exec: async () => Promise.all(queued.map(async (run) => [null, await run()])) };
+    for (const cmd of ['hset', 'hgetall', 'expire', 'zadd']) {
+      pipe[cmd] = (...args) => { queued.push(() => fakeRedis[cmd](...args)); return pipe; };
+    }
+    return pipe;
+  },
+};
+Object.assign(Redis.prototype, fakeRedis);
+Object.defineProperty(Redis.prototype, 'status', { get: () => 'ready', set() {}, configurable: true });
+process.env.REDIS_URL = 'redis://in-memory';
+await import('../src/services/sessionStore.js');
+delete process.env.REDIS_URL;
+
+const { default: app } = await import('../src/app.js');
+const { registeredRoutes, responseSpec, validationErrorSchema, errorMessageSchema } = await import(
+  '../src/middleware/validate.js'
+);
+const { signToken } = await import('../src/middleware/auth.js');
+const { default: articleStore, DatabaseUnavailableError } = await import('../src/services/articleStore.js');
+const { default: vectorClient } = await import('../src/services/vectorClient.mjs');
+const { default: ingestScheduler, IngestAlreadyRunningError } = await import('../src/services/ingestScheduler.js');
+
+const articles = new Map();
+let databaseDown = false;
+Object.assign(articleStore, {
+  async upsertArticle({ title, url, source = null, publishedAt = null }) {
+    if (databaseDown) return { article: null, created: true };
+    const article = {
+      id: randomUUID(),
+      title: title || url,
+      url,
+      source,
+      publishedAt: publishedAt ? new Date(publishedAt) : null,
+      createdAt: new Date(),
+    };
+    articles.set(article.id, article);
+    return { article, created: true };
+  },
+  async listArticles({ page, pageSize }) {
+    if (databaseDown) throw new DatabaseUnavailableError();
+    const items = [...articles.values()];
+    return { items: items.slice((page - 1) * pageSize, page * pageSize), total: items.length };
+  },
+  async getById(id) {
+    return articles.get(id) || null;
+  },
+  async deleteById(id) {
+    articles.delete(id);
+  },
+});
+const chunk = {
+  id: 'p1',
+  text: 'The central bank kept rates unchanged on Tuesday.',
+  title: 'Rates on hold',
+  url: 'https://news.example/rates',
+  articleId: null,
+  chunkIndex: 0,
+  source: 'example',
+  publishedAt: '2026-01-02T00:00:00.000Z',
+};
+let vectorWrites = 0;
+Object.assign(vectorClient, {
+  async upsert() {
+    vectorWrites += 1;
+    return { inserted: 1, skipped: 0, failed: 0, errors: [] };
+  },
+  // retrieval: the vector side and the chunks the BM25 index is built from
+  async search() {
+    return [{ ...chunk, score: 0.9 }];
+  },
+  async scrollAll() {
+    return [chunk];
+  },
+  async getChunks({ articleId }) {
+    return [{ id: randomUUID(), chunkIndex: 0, text: 'indexed text', articleId }];
+  },
+  async deleteDocument() {
+    return { deleted: 1 };
+  },
+});
+
+const runs = [];
+let running = false;
+Object.assign(ingestScheduler, {
+  async runNow({ trigger = 'manual' } = {}) {
+    if (running) throw new IngestAlreadyRunningError();
+    running = true;
+    const run = {
+      id: randomUUID(),
+      trigger,
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      itemsSeen: 0,
+      itemsAdded: 0,
+      itemsSkipped: 0,
+      errors: [],
+    };
+    runs.unshift(run);
+    return { ...run };
+  },
+  async listRuns(limit = 20) {
+    return runs.slice(0, limit);
+  },
+});
+
+/* ----------------- checked requests ----------------- */
+
+const specs = new Map(registeredRoutes().map((spec) => [`${spec.method.toUpperCase()} ${spec.path}`, spec]));
+const exercised = new Set();
+
+// statuses every operation gets in the document without declaring them (see src/openapi.js)
+function declaredResponse(spec, status) {
+  const declared = responseSpec(spec, status);
+  if (declared) return declared;
+  if (status === 400 && (spec.params || spec.query || spec.body)) {
+    return { content: { 'application/json': validationErrorSchema } };
+  }
+  if (status === 401 && spec.auth && spec.auth !== 'none') return { content: { 'application/json': errorMessageSchema } };
+  return null;
+}
+
+// "id: ...\nevent: ...\ndata: ...\n\n" -> [{ id, event, data }]; comments and retry: skipped
+function parseSse(text) {
+  const frames = [];
+  for (const block of text.split('\n\n')) {
+    const frame = {};
+    for (const line of block.split('\n')) {
+      const m = line.match(/^(id|event|data): ?(.*)$/);
+      if (m) frame[m[1]] = m[1] === 'data' ? JSON.parse(m[2]) : m[2];
+    }
+    if (frame.event) frames.push(frame);
+  }
+  return frames;
+}
+
+function assertMatches(schema, value, label) {
+  const result = schema.safeParse(value);
+  assert.ok(result.success, `${label}: ${result.error?.message}\n${JSON.stringify(value, null, 2)}`);
+}
+
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+const userToken = signToken('openapi-user');
+const AS_USER = { Authorization: `Bearer ${userToken}` };
+const AS_SERVICE = { 'X-API-Key': 'test-openapi-key' };
+
+/**
+ * call(operation, url, { headers, body, expect })
+ * operation is "<METHOD> <OpenAPI path>"; returns { status, body | frames }.
+ */
+async function call(operation, url, { headers = {}, body, expect } = {}) {
+  const spec = specs.get(operation);
+  assert.ok(spec, `${operation} is not a registered route`);
+  const [method] = operation.split(' ');
+  const res = await fetch(base + url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const label = `${operation} -> ${res.status}`;
+  if (expect) assert.equal(res.status, expect, label);
+  const declared = declaredResponse(spec, res.status);
+  assert.ok(declared, `${label} is not declared`);
+
+  const type = (res.headers.get('content-type') || '').split(';')[0];
+  const schema = declared.content[type];
+  assert.ok(schema, `${label}: no schema declared for ${type}`);
+  exercised.add(operation);
+  if (type === 'text/event-stream') {
+    const frames = parseSse(await res.text());
+    assert.ok(frames.length, `${label}: no SSE frames`);
+    frames.forEach((f, i) => assertMatches(schema, f, `${label} frame ${i} (${f.event})`));
+    return { status: res.status, frames };
+  }
+  if (type === 'text/html') {
+    const text = await res.text();
+    assertMatches(schema, text, label);
+    return { status: res.status, body: text };
+  }
+  const json = await res.json();
+  assertMatches(schema, json, label);
+  return { status: res.status, body: json };
+}
+
+async function run() {
+  await call('GET /health', '/health', { expect: 200 });
+  await call('GET /stats', '/stats', { expect: 200 });
+
+  // sessions
+  await call('GET /sessions', '/sessions', { expect: 401 });
+  const { body: created } = await call('POST /sessions', '/sessions', { headers: AS_USER, expect: 201 });
+
+  // chat: SSE (default), then JSON
+  const { frames } = await call('POST /chat', '/chat', {
+    headers: AS_USER,
+    body: { sessionId: created.id, message: 'What did the central bank do?' },
+    expect: 200,
+  });
+  assert.deepEqual(frames.map((f) => f.event).filter((e) => e !== 'message'), ['session', 'done']);
+  // the fixed chunk came through hybrid retrieval (vector and BM25 sides) as the one source
+  assert.deepEqual(frames.at(-1).data.sources.map((src) => src.url), ['https://news.example/rates']);
+  await call('POST /chat', '/chat?stream=false', {
+    headers: AS_USER,
+    body: { sessionId: created.id, message: 'And the day before?' },
+    expect: 200,
+  });
+  await call('POST /chat', '/chat', { headers: AS_USER, body: { message: '' }, expect: 400 });
+  const AS_OTHER = { Authorization: `Bearer ${signToken('someone-else')}` };
+  await call('POST /chat', '/chat', { headers: AS_OTHER, body: { sessionId: created.id, message: 'hi' }, expect: 404 });
+  // unknown ids are not turned into sessions, and neither are ids whose meta could not be read
+  await call('POST /chat', '/chat', { headers: AS_USER, body: { sessionId: randomUUID(), message: 'hi' }, expect: 404 });
+  failMetaReads = true;
+  await call('POST /chat', '/chat', { headers: AS_OTHER, body: { sessionId: created.id, message: 'mine now?' }, expect: 404 });
+  failMetaReads = false;
+  const { body: owned } = await call('GET /sessions', '/sessions', { headers: AS_USER, expect: 200 });
+  assert.deepEqual(owned.result.map((s) => [s.id, s.msgCount]), [[created.id, 4]]);
+  await call('GET /chat/{sessionId}/stream', `/chat/${created.id}/stream`, { headers: AS_USER, expect: 200 });
+  await call('GET /chat/{sessionId}/stream', `/chat/${randomUUID()}/stream`, { headers: AS_USER, expect: 404 });
+  await call('POST /chat/{sessionId}/stop', `/chat/${created.id}/stop`, { headers: AS_USER, expect: 404 });
+
+  // rename, pin, archive
+  const { body: other } = await call('POST /sessions', '/sessions', { headers: AS_USER, expect: 201 });
+  const { body: renamed } = await call('PATCH /sessions/{id}', `/sessions/${created.id}`, {
+    headers: AS_USER,
+    body: { title: '  Rates  ', pinned: true },
+    expect: 200,
+  });
+  assert.equal(renamed.title, 'Rates');
+  await call('PATCH /sessions/{id}', `/sessions/${created.id}`, { headers: AS_USER, body: {}, expect: 400 });
+  await call('PATCH /sessions/{id}', `/sessions/${randomUUID()}`, { headers: AS_USER, body: { pinned: true }, expect: 404 });
+  // other users neither see nor change the session
+  await call('PATCH /sessions/{id}', `/sessions/${other.id}`, { headers: AS_OTHER, body: { archived: true }, expect: 404 });
+  const { body: foreign } = await call('GET /sessions', '/sessions', { headers: AS_OTHER, expect: 200 });
+  assert.deepEqual(foreign.result, []);
+  const { body: listed } = await call('GET /sessions', '/sessions', { headers: AS_USER, expect: 200 });
+  assert.deepEqual(listed.result.map((s) => s.id), [created.id, other.id]);
+  await call('PATCH /sessions/{id}', `/sessions/${other.id}`, { headers: AS_USER, body: { archived: true }, expect: 200 });
+  const { body: active } = await call('GET /sessions', '/sessions', { headers: AS_USER, expect: 200 });
+  assert.deepEqual(active.result.map((s) => s.id), [created.id]);
+  const { body: archived } = await call('GET /sessions', '/sessions?archived=true', { headers: AS_USER, expect: 200 });
+  assert.deepEqual(archived.result.map((s) => s.id), [other.id]);
+  await call('GET /sessions', '/sessions?archived=maybe', { headers: AS_USER, expect: 400 });
+  const { body: history } = await call('GET /sessions/{id}/messages', `/sessions/${created.id}/messages`, {
+    headers: AS_USER,
+    expect: 200,
+  });
+  assert.equal(history.messages.length, 4);
+  await call('DELETE /sessions/{id}', `/sessions/${created.id}`, { headers: AS_USER, expect: 200 });
+  await call('DELETE /sessions/{id}', `/sessions/${created.id}`, { headers: AS_USER, expect: 404 });
+  await call('GET /sessions/{id}/messages', '/sessions/not-a-uuid/messages', { headers: AS_USER, expect: 400 });
+
+  // documents (API keys only)
+  const { body: indexed } = await call('POST /documents', '/documents', {
+    headers: AS_SERVICE,
+    body: { text: 'Rates stay on hold.', url: 'https://news.example/hold', title: 'On hold', publishedAt: '2026-01-03' },
+    expect: 201,
+  });
+  await call('POST /documents', '/documents', { headers: AS_SERVICE, body: { title: 'nothing' }, expect: 400 });
+  await call('GET /documents', '/documents?pageSize=5', { headers: AS_SERVICE, expect: 200 });
+  databaseDown = true;
+  const writes = vectorWrites;
+  await call('POST /documents', '/documents', { headers: AS_SERVICE, body: { text: 'Orphan?' }, expect: 503 });
+  assert.equal(vectorWrites, writes, 'nothing is indexed without an Article row');
+  await call('GET /documents', '/documents', { headers: AS_SERVICE, expect: 503 });
+  databaseDown = false;
+  const docUrl = `/documents/${indexed.document.id}`;
+  await call('GET /documents/{id}', docUrl, { headers: AS_SERVICE, expect: 200 });
+  await call('DELETE /documents/{id}', docUrl, { headers: AS_SERVICE, expect: 200 });
+  await call('GET /documents/{id}', docUrl, { headers: AS_SERVICE, expect: 404 });
+  await call('DELETE /documents/{id}', docUrl, { headers: AS_SERVICE, expect: 404 });
+
+  // ingest
+  await call('POST /ingest/run', '/ingest/run', { headers: AS_SERVICE, expect: 202 });
+  await call('POST /ingest/run', '/ingest/run', { headers: AS_SERVICE, expect: 409 });
+  await call('GET /ingest/runs', '/ingest/runs?limit=5', { headers: AS_SERVICE, expect: 200 });
+
+  // the description itself
+  const { body: doc } = await call('GET /openapi.json', '/openapi.json', { expect: 200 });
+  const { body: page } = await call('GET /docs', '/docs', { expect: 200 });
+  assert.match(page, /swagger-ui/);
+
+  const missed = [...specs.keys()].filter((op) => !exercised.has(op));
+  assert.deepEqual(missed, [], `routes not exercised: ${missed.join(', ')}`);
+
+  // the served document covers the same operations, these two included
+  const documented = Object.entries(doc.paths).flatMap(([path, ops]) =>
+    Object.keys(ops).map((method) => `${method.toUpperCase()} ${path}`)
+  );
+  assert.deepEqual(documented.sort(), [...specs.keys()].sort());
+
+  console.log(`openapi: ${specs.size} operations match their response schemas`);
+}
+
+run()
+  .catch((err) => { console.error(err); process.exitCode = 1; })
+  .finally(() => server.close());
@@ -0,0 +1,98 @@
+// scripts/test-rate-limit.mjs
+// Checks rule parsing, the sliding-window limiter (in-memory fallback), per-caller
+// overrides and the daily token quota (reservations included) through a small express app.
+// Usage: node scripts/test-rate-limit.mjs
+import assert from 'node:assert/strict';
+
+delete process.env.REDIS_URL;
+process.env.RATE_LIMIT_CHAT = '2/1s';
+process.env.QUOTA_DAILY_TOKENS = '100';
+process.env.RATE_LIMIT_OVERRIDES = JSON.stringify({ vip: { chat: 'off', dailyTokens: 0 } });
+
+const express = (await import('express')).default;
+const { rateLimit, tokenQuota, addUsage, recordUsage, parseRule } = await import('../src/middleware/rateLimit.js');
+const rateLimiter = (await import('../src/services/rateLimiter.js')).default;
+
+assert.deepEqual(parseRule('20/1m'), { limit: 20, windowMs: 60000, label: '1m' });
+assert.deepEqual(parseRule('5/h'), { limit: 5, windowMs: 3600000, label: '1h' });
+assert.equal(parseRule('off'), null);
+assert.throws(() => parseRule('lots'));
+
+const app = express();
+app.use((req, res, next) => {
+  const user = req.get('X-User');
+  req.auth = user ? { userId: user, method: 'jwt' } : { userId: 'anonymous', method: 'anonymous' };
+  next();
+});
+app.post('/chat', rateLimit('chat'), tokenQuota(), async (req, res) => {
+  await recordUsage(req, 60);
+  res.json({ ok: true });
+});
+// reserves 40 tokens, then either uses 10 after a moment or fails without using any
+// (X-Rewrite: 5 tokens spent before that, as the chat route's query rewrite does)
+let releaseSlow;
+const slow = new Promise((r) => { releaseSlow = r; });
+app.post('/reserve', tokenQuota({ reserve: () => 40 }), async (req, res) => {
+  if (req.get('X-Rewrite')) await addUsage(req, 5);
+  if (req.get('X-Fail')) return res.status(500).json({ error: 'boom' });
+  await slow;
+  await recordUsage(req, 10);
+  res.json({ ok: true });
+});
+
+const server = app.listen(0);
+const url = `http://127.0.0.1:${server.address().port}/chat`;
+const post = (user) => fetch(url, { method: 'POST', headers: user ? { 'X-User': user } : {} });
+const reserve = (user, headers = {}) => fetch(url.replace(/chat$/, 'reserve'), { method: 'POST', headers: { 'X-User': user, ...headers } });
+const settled = () => new Promise((r) => setTimeout(r, 50));
+
+async function run() {
+  // two requests per second per caller, then 429 with Retry-After
+  assert.equal((await post('alice')).status, 200);
+  const second = await post('alice');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('x-ratelimit-remaining'), '0');
+  const limited = await post('alice');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '1');
+  // other callers (and anonymous ones, counted per IP) have their own windows
+  assert.equal((await post('bob')).status, 200);
+  assert.equal((await post()).status, 200);
+
+  // the window slides: after a second alice may send again — but 120 tokens used > 100 quota
+  await new Promise((r) => setTimeout(r, 1100));
+  const overQuota = await post('alice');
+  assert.equal(overQuota.status, 429);
+  assert.match((await overQuota.json()).error, /quota/);
+  assert.ok(Number(overQuota.headers.get('retry-after')) > 1);
+
+  // parallel requests reserve atomically: only two 40-token reservations fit in 100
+  const parallel = [reserve('carol'), reserve('carol'), reserve('carol'), reserve('carol')];
+  await settled();
+  releaseSlow();
+  const statuses = (await Promise.all(parallel)).map((r) => r.status).sort();
+  assert.deepEqual(statuses, [200, 200, 429, 429]);
+  // ...and settle to what they actually used
+  assert.equal(await rateLimiter.tokensUsed('carol'), 20);
+  // a failed request gives its reservation back
+  assert.equal((await reserve('carol', { 'X-Fail': '1' })).status, 500);
+  await settled();
+  assert.equal(await rateLimiter.tokensUsed('carol'), 20);
+  assert.equal((await reserve('carol')).status, 200);
+  assert.equal(await rateLimiter.tokensUsed('carol'), 30);
+  // usage noted before the final call is kept whether the request fails or settles
+  assert.equal((await reserve('dave', { 'X-Rewrite': '1', 'X-Fail': '1' })).status, 500);
+  await settled();
+  assert.equal(await rateLimiter.tokensUsed('dave'), 5);
+  assert.equal((await reserve('dave', { 'X-Rewrite': '1' })).status, 200);
+  assert.equal(await rateLimiter.tokensUsed('dave'), 20);
+
+  // overrides: no limit and no quota
+  for (let i = 0; i < 5; i++) assert.equal((await post('vip')).status, 200);
+
+  console.log('rate limits: all assertions passed');
+}
+
+run()
+  .catch((err) => { console.error(err); process.exitCode = 1; })
+  .finally(() => server.close());
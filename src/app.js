@@ -0,0 +1,141 @@
+// src/app.js
+// The express app: CORS, JSON bodies, routers, and the generated API description at
+// /openapi.json (interactive docs at /docs). src/server.js starts it; tests mount it
+// directly.
+import bodyParser from "body-parser";
+import cors from "cors";
+import express from "express";
+import { z } from "zod/v4";
+import chatRoute from "./routes/chat.js";
+import sessionsRouter from "./routes/sessions.js";
+import ingestRouter from "./routes/ingest.js";
+import documentsRouter from "./routes/documents.js";
+import embeddingCache from "./services/embeddingCache.js";
+import { requireAuth } from "./middleware/auth.js";
+import { route, errorResponse } from "./middleware/validate.js";
+import { buildOpenApiDocument, docsPage } from "./openapi.js";
+
+const app = express();
+// behind a reverse proxy (Render, nginx) set TRUST_PROXY so req.ip — used for per-IP
+// rate limits — is the client address from X-Forwarded-For: "true", a hop count or a subnet list
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", tp === "true" ? true : /^\d+$/.test(tp) ? parseInt(tp, 10) : tp);
+}
+
+// FRONTEND_ORIGIN may be a single origin or comma-separated list:
+// e.g. "https://voosh-frontend-theta.vercel.app,http://localhost:5173"
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "";
+const ALLOWED_ORIGINS = FRONTEND_ORIGIN.split(",").map(s => s.trim()).filter(Boolean);
+
+app.use(
+  cors({
+    origin: function (origin, callback) {
+      // allow requests with no origin (curl, server-to-server)
+      if (!origin) return callback(null, true);
+      // if no allowed origins configured, allow (use with caution)
+      if (ALLOWED_ORIGINS.length === 0) return callback(null, true);
+      if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
+      return callback(new Error("Not allowed by CORS"));
+    },
+    methods: ["GET", "POST", "OPTIONS", "DELETE", "PUT", "PATCH"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "Last-Event-ID"],
+    exposedHeaders: ["Retry-After", "X-RateLimit-Limit", "X-RateLimit-Remaining"],
+    preflightContinue: false,
+  })
+);
+
+app.use(bodyParser.json({ limit: "1mb" }));
+// body-parser failures in the same shape as validation errors
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return errorResponse(res, 400, "INVALID_JSON", "request body is not valid JSON", [
+      { location: "body", path: "", message: err.message },
+    ]);
+  }
+  if (err.type === "entity.too.large") {
+    return errorResponse(res, 413, "PAYLOAD_TOO_LARGE", `request body exceeds ${err.limit} bytes`);
+  }
+  next(err);
+});
+
+const healthRoute = route({
+  method: "get",
+  path: "/health",
+  summary: "Liveness probe",
+  tags: ["meta"],
+  auth: "none",
+  responses: { 200: { description: "the process is up", schema: z.strictObject({ ok: z.literal(true) }) } },
+});
+app.get("/health", healthRoute, (req, res) => res.json({ ok: true }));
+
+const count = z.number().int();
+const statsRoute = route({
+  method: "get",
+  path: "/stats",
+  summary: "Process-local counters (embedding cache savings)",
+  tags: ["meta"],
+  auth: "none",
+  responses: {
+    200: {
+      description: "counters since the process started",
+      schema: z.strictObject({
+        embeddingCache: z.strictObject({
+          enabled: z.boolean(),
+          persist: z.boolean(),
+          hits: count,
+          misses: count,
+          redisHits: count,
+          postgresHits: count,
+          writes: count,
+          errors: count,
+          hitRate: z.number().nullable(),
+        }),
+      }),
+    },
+  },
+});
+app.get("/stats", statsRoute, (req, res) => res.json({ embeddingCache: embeddingCache.stats() }));
+
+app.use("/chat", requireAuth(), chatRoute);
+app.use("/sessions", requireAuth(), sessionsRouter);
+// ingestion and document management are for service callers (API keys)
+app.use("/documents", requireAuth({ methods: ["apiKey"] }), documentsRouter);
+app.use("/ingest", requireAuth({ methods: ["apiKey"] }), ingestRouter);
+
+// API description generated from the route schemas (built on first request, after
+// every router above has registered its routes — these two included)
+const openApiRoute = route({
+  method: "get",
+  path: "/openapi.json",
+  summary: "This API description (OpenAPI 3.1)",
+  tags: ["meta"],
+  auth: "none",
+  responses: {
+    200: {
+      description: "the OpenAPI document",
+      schema: z.looseObject({
+        openapi: z.string(),
+        info: z.looseObject({ title: z.string(), version: z.string() }),
+        paths: z.record(z.string(), z.record(z.string(), z.unknown())),
+      }),
+    },
+  },
+});
+let openApiDocument = null;
+app.get("/openapi.json", openApiRoute, (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument();
+  res.json(openApiDocument);
+});
+
+const docsRoute = route({
+  method: "get",
+  path: "/docs",
+  summary: "Interactive docs (Swagger UI) for /openapi.json",
+  tags: ["meta"],
+  auth: "none",
+  responses: { 200: { description: "HTML page", content: { "text/html": z.string() } } },
+});
+app.get("/docs", docsRoute, (req, res) => res.type("html").send(docsPage("/openapi.json")));
+
+export default app;
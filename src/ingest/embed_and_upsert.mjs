@@ -8,24 +8,17 @@ import "dotenv/config";
 import fs from "fs/promises";
 import { dirname, join, resolve } from "path";
 import { fileURLToPath } from "url";
-import { v4 as uuidv4 } from "uuid";
 import pLimit from "p-limit";
 import fetch from "node-fetch";
 
 import { lemmatizeDocumentsWithWink } from "./lemmatize_quick.mjs";
 import { CheerioWebBaseLoader } from "@langchain/community/document_loaders/web/cheerio";
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
 
 import vectorClient from "../services/vectorClient.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DEFAULT_CHUNK_SIZE = parseInt(process.env.INGEST_CHUNK_SIZE || "1200", 10);
-const DEFAULT_CHUNK_OVERLAP = parseInt(
-  process.env.INGEST_CHUNK_OVERLAP || "200",
-  10
-);
 const CONCURRENCY = parseInt(process.env.INGEST_CONCURRENCY || "6", 10);
 
 /** Ingest from local sample file */
@@ -86,7 +79,7 @@ async function fetchArticleUrlsFromFeeds(feedUrls = [], limit = 50) {
   return urls.slice(0, limit);
 }
 
-/** Process one article using Cheerio loader + splitter */
+/** Process one article using Cheerio loader; chunking happens in vectorClient.upsert */
 async function processArticle(articleMeta) {
   const url = articleMeta.url || articleMeta.link;
   try {
@@ -97,21 +90,20 @@ async function processArticle(articleMeta) {
 
     // lemmatize text
     const processedDocs = lemmatizeDocumentsWithWink(docs);
-
-    // split into chunks
-    const splitter = new RecursiveCharacterTextSplitter({
-      chunkSize: DEFAULT_CHUNK_SIZE,
-      chunkOverlap: DEFAULT_CHUNK_OVERLAP,
-    });
-    const splitDocs = await splitter.splitDocuments(processedDocs);
-
-    return splitDocs.map((doc, idx) => ({
-      id: uuidv4(),
-      text: doc.metadata.processedText || doc.pageContent,
-      title: articleMeta.title || doc.metadata.title || null,
-      url,
-      meta: { chunkIndex: idx },
-    }));
+    const text = processedDocs
+      .map((doc) => doc.metadata.processedText || doc.pageContent)
+      .join("\n\n")
+      .trim();
+    if (!text) return [];
+
+    return [
+      {
+        text,
+        title: articleMeta.title || docs[0]?.metadata?.title || null,
+        url,
+        publishedAt: articleMeta.publishedAt || null,
+      },
+    ];
   } catch (err) {
     console.warn("Failed to process article", url, err.message);
     return [];
@@ -123,8 +115,8 @@ async function upsertDocs(docs, batchSize = 64) {
   let inserted = 0;
   for (let i = 0; i < docs.length; i += batchSize) {
     const batch = docs.slice(i, i + batchSize);
-    await vectorClient.upsert(batch);
-    inserted += batch.length;
+    const res = await vectorClient.upsert(batch);
+    inserted += res?.inserted || 0;
   }
   return inserted;
 }
@@ -160,16 +152,16 @@ export async function runIngest({
   const tasks = articlesToProcess.map((a) =>
     limiter(async () => {
       results.articlesFetched += 1;
-      const chunks = await processArticle(a);
-      if (!chunks.length) {
+      const docs = await processArticle(a);
+      if (!docs.length) {
         results.failures.push({ url: a.url || a.link, error: "no content" });
         return;
       }
       results.articlesProcessed += 1;
-      const inserted = await upsertDocs(chunks);
+      const inserted = await upsertDocs(docs);
       results.chunksInserted += inserted;
       console.log(
-        `Inserted ${inserted} chunks for article ${chunks[0].title || chunks[0].url}`
+        `Inserted ${inserted} chunks for article ${docs[0].title || docs[0].url}`
       );
     })
   );
@@ -0,0 +1,211 @@
+// src/ingest/extract_article.mjs
+// Full-article extraction from HTML with cheerio.
+// - extractArticle(html, url): pure, no network — { title, byline, publishedAt, tags, paragraphs, text }
+// - fetchAndExtract(url): download + extractArticle
+
+import * as cheerio from "cheerio";
+import { fetchText } from "./http.mjs";
+import { normalizeTags } from "../utils/searchFilters.js";
+
+const MIN_PARAGRAPH_CHARS = parseInt(process.env.EXTRACT_MIN_PARAGRAPH_CHARS || "40", 10);
+
+// elements that never carry article body text
+const STRIP_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "iframe",
+  "form",
+  "button",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "figure figcaption",
+  "[role=navigation]",
+  "[role=banner]",
+  "[role=contentinfo]",
+  "[role=complementary]",
+  "[aria-hidden=true]",
+].join(",");
+
+// class/id fragments that mark boilerplate blocks (ads, share bars, related links, ...)
+const BOILERPLATE_RE =
+  /(^|[\s_-])(ad|ads|advert|advertisement|sponsor|sponsored|promo|banner|share|sharing|social|related|recommend|newsletter|subscribe|signup|cookie|consent|comment|comments|breadcrumb|sidebar|footer|header|nav|menu|popup|modal|outbrain|taboola)([\s_-]|$)/i;
+
+// containers tried (in order) before falling back to paragraph-density scoring
+const BODY_SELECTORS = [
+  "[itemprop=articleBody]",
+  "article",
+  "[role=main] article",
+  "main",
+  "[role=main]",
+];
+
+function clean(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function metaContent($, name) {
+  return clean(
+    $(`meta[property="${name}"]`).attr("content") ||
+      $(`meta[name="${name}"]`).attr("content") ||
+      ""
+  );
+}
+
+/** Topic tags from JSON-LD keywords, article:tag and (news_)keywords meta tags */
+function readTags($, ld) {
+  const raw = [];
+  const ldKeywords = ld?.keywords;
+  if (Array.isArray(ldKeywords)) raw.push(...ldKeywords);
+  else if (typeof ldKeywords === "string") raw.push(...ldKeywords.split(","));
+  $('meta[property="article:tag"]').each((_, el) => raw.push($(el).attr("content") || ""));
+  for (const name of ["news_keywords", "keywords"]) {
+    raw.push(...metaContent($, name).split(","));
+  }
+  return normalizeTags(raw.map(clean));
+}
+
+/** JSON-LD NewsArticle/Article blocks carry reliable author/date info */
+function readJsonLd($) {
+  const out = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const nodes = Array.isArray(data) ? data : data["@graph"] || [data];
+      for (const n of nodes) {
+        const type = [].concat(n?.["@type"] || []).join(" ");
+        if (/Article|NewsArticle|BlogPosting|ReportageNewsArticle/.test(type)) out.push(n);
+      }
+    } catch (_) {
+      // malformed JSON-LD is common; ignore
+    }
+  });
+  return out[0] || null;
+}
+
+function authorName(a) {
+  if (!a) return null;
+  if (typeof a === "string") return clean(a);
+  if (Array.isArray(a)) return a.map(authorName).filter(Boolean).join(", ") || null;
+  return clean(a.name || "") || null;
+}
+
+function toIso(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function stripBoilerplate($) {
+  $(STRIP_SELECTORS).remove();
+  $("[class],[id]").each((_, el) => {
+    const $el = $(el);
+    const marker = `${$el.attr("class") || ""} ${$el.attr("id") || ""}`;
+    // never drop the document skeleton or the article container itself
+    if (["html", "body", "article", "main"].includes(el.tagName)) return;
+    if (BOILERPLATE_RE.test(marker)) $el.remove();
+  });
+}
+
+function paragraphsIn($, root) {
+  const seen = new Set();
+  const out = [];
+  $(root)
+    .find("p, h2, h3, li > p, blockquote")
+    .each((_, el) => {
+      const text = clean($(el).text());
+      if (text.length < MIN_PARAGRAPH_CHARS && !/^h[23]$/.test(el.tagName)) return;
+      if (!text || seen.has(text)) return;
+      seen.add(text);
+      out.push(text);
+    });
+  return out;
+}
+
+/** Pick the container with the most paragraph text when no semantic container is present */
+function densestContainer($) {
+  let best = null;
+  let bestScore = 0;
+  $("div, section").each((_, el) => {
+    let score = 0;
+    $(el)
+      .children("p")
+      .each((__, p) => {
+        const len = clean($(p).text()).length;
+        if (len >= MIN_PARAGRAPH_CHARS) score += len;
+      });
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * extractArticle(html, url?)
+ * Returns { url, title, byline, publishedAt, tags: string[], paragraphs: string[], text }
+ * `text` is headline + byline + body paragraphs joined by blank lines.
+ */
+export function extractArticle(html, url = null) {
+  const $ = cheerio.load(String(html || ""));
+  const ld = readJsonLd($);
+
+  // metadata first — stripping removes <header> which often holds the h1/byline
+  const title =
+    clean(ld?.headline) ||
+    metaContent($, "og:title") ||
+    clean($("h1").first().text()) ||
+    clean($("title").first().text()) ||
+    null;
+
+  const byline =
+    authorName(ld?.author) ||
+    metaContent($, "author") ||
+    metaContent($, "article:author") ||
+    clean($("[rel=author]").first().text()) ||
+    clean($("[itemprop=author]").first().text()) ||
+    clean($(".byline, .author").first().text()) ||
+    null;
+
+  const publishedAt =
+    toIso(ld?.datePublished) ||
+    toIso(metaContent($, "article:published_time")) ||
+    toIso($("[itemprop=datePublished]").attr("content")) ||
+    toIso($("time[datetime]").first().attr("datetime")) ||
+    null;
+
+  const tags = readTags($, ld);
+
+  stripBoilerplate($);
+
+  let paragraphs = [];
+  for (const sel of BODY_SELECTORS) {
+    const root = $(sel).first();
+    if (!root.length) continue;
+    paragraphs = paragraphsIn($, root);
+    if (paragraphs.length) break;
+  }
+  if (!paragraphs.length) {
+    const root = densestContainer($);
+    paragraphs = root ? paragraphsIn($, root) : paragraphsIn($, $("body"));
+  }
+
+  const text = [title, byline ? `By ${byline}` : null, ...paragraphs]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return { url, title, byline, publishedAt, tags, paragraphs, text };
+}
+
+/** Download `url` and extract the article; throws on HTTP/network errors */
+export async function fetchAndExtract(url) {
+  const { body } = await fetchText(url);
+  return extractArticle(body, url);
+}
+
+export default { extractArticle, fetchAndExtract };
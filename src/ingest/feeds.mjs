@@ -0,0 +1,92 @@
+// src/ingest/feeds.mjs
+// Feed list reading, fetching and parsing (RSS / Atom via rss-parser).
+// Entries in the feed list that are not feeds are treated as direct article URLs.
+
+import fs from "fs/promises";
+import RSSParser from "rss-parser";
+import { fetchText } from "./http.mjs";
+import { extractArticle } from "./extract_article.mjs";
+import { normalizeTags } from "../utils/searchFilters.js";
+
+const parser = new RSSParser();
+
+/** Read a feed list: one URL per line, blank lines and `#` comments ignored */
+export async function readFeedsList(feedsPath) {
+  const txt = await fs.readFile(feedsPath, "utf-8");
+  const seen = new Set();
+  return txt
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"))
+    .filter((l) => (seen.has(l) ? false : seen.add(l)));
+}
+
+/**
+ * Many feeds in the wild ship bare `&` inside titles/links, which makes
+ * rss-parser (xml2js) bail out. Escape every `&` that does not already start
+ * an entity.
+ */
+export function sanitizeFeedXml(xml) {
+  return String(xml || "").replace(/&(?![a-zA-Z]+;|#\d+;|#x[a-fA-F0-9]+;)/g, "&amp;");
+}
+
+function looksLikeFeed(body, contentType = "") {
+  if (/(rss|atom|xml)/i.test(contentType) && !/html/i.test(contentType)) return true;
+  const head = String(body || "").slice(0, 1000).trimStart();
+  return /^<\?xml/i.test(head) || /<(rss|feed|rdf:RDF)[\s>]/i.test(head);
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+/** Normalize an rss-parser item into our ingest item shape */
+function normalizeFeedItem(item, feed, feedUrl) {
+  const url = (item.link || item.guid || "").trim();
+  const text = (item.contentSnippet || item.summary || item.content || "").trim();
+  return {
+    url,
+    title: (item.title || "").trim() || null,
+    source: (feed.title || "").trim() || hostnameOf(url) || hostnameOf(feedUrl),
+    publishedAt: item.isoDate || item.pubDate || null,
+    tags: normalizeTags(item.categories),
+    text,
+  };
+}
+
+/** Article page entry (a list entry that is not a feed) */
+function pageToItem(html, url) {
+  const article = extractArticle(html, url);
+  return {
+    url,
+    title: article.title,
+    source: hostnameOf(url),
+    publishedAt: article.publishedAt,
+    tags: article.tags,
+    text: article.text,
+    extracted: true,
+  };
+}
+
+/**
+ * fetchFeedItems(feedUrl, { limit })
+ * Returns normalized items: [{ url, title, source, publishedAt, tags, text, extracted? }]
+ * `extracted` is set when `text` already holds the full article body.
+ */
+export async function fetchFeedItems(feedUrl, { limit = 20 } = {}) {
+  const { body, contentType } = await fetchText(feedUrl);
+  if (!looksLikeFeed(body, contentType)) {
+    return [pageToItem(body, feedUrl)];
+  }
+  const feed = await parser.parseString(sanitizeFeedXml(body));
+  return (feed.items || [])
+    .map((item) => normalizeFeedItem(item, feed, feedUrl))
+    .filter((i) => i.url)
+    .slice(0, limit);
+}
+
+export default { readFeedsList, sanitizeFeedXml, fetchFeedItems };
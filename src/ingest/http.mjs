@@ -0,0 +1,26 @@
+// src/ingest/http.mjs
+// Shared page/feed downloader for the ingest pipeline.
+
+import fetch from "node-fetch";
+
+const USER_AGENT =
+  process.env.INGEST_USER_AGENT || "Mozilla/5.0 (Windows NT 10.0; Win64; x64)";
+const FETCH_TIMEOUT_MS = parseInt(process.env.INGEST_FETCH_TIMEOUT_MS || "20000", 10);
+
+/** GET `url` as text; throws on non-2xx or after INGEST_FETCH_TIMEOUT_MS */
+export async function fetchText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT },
+      signal: controller.signal,
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return { body: await resp.text(), contentType: resp.headers.get("content-type") || "" };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default { fetchText };
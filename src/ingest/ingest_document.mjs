@@ -0,0 +1,68 @@
+// src/ingest/ingest_document.mjs
+// Single-document indexing shared by feed ingestion and the /documents API:
+// Article row (Postgres) + chunks in Qdrant.
+
+import { v4 as uuidv4 } from "uuid";
+import { fetchAndExtract } from "./extract_article.mjs";
+import articleStore, { DatabaseUnavailableError } from "../services/articleStore.js";
+import vectorClient from "../services/vectorClient.mjs";
+
+/**
+ * indexArticle({ url, title, text, source?, publishedAt?, tags? }, { requireArticle })
+ * Records the article and upserts its text. Without Postgres the text is indexed
+ * anyway (vector-only), unless requireArticle is set: then DatabaseUnavailableError
+ * is thrown before anything is written to Qdrant.
+ * Returns { article, chunks: { inserted, skipped, failed, errors } } (see vectorClient.upsert).
+ */
+export async function indexArticle(item, { requireArticle = false } = {}) {
+  const { article } = await articleStore.upsertArticle(item);
+  if (!article && requireArticle) throw new DatabaseUnavailableError();
+  const chunks = await vectorClient.upsert([
+    {
+      text: item.text,
+      title: item.title,
+      url: item.url,
+      articleId: article?.id || null,
+      source: item.source,
+      publishedAt: item.publishedAt,
+      tags: item.tags,
+    },
+  ]);
+  return { article, chunks: chunks || { inserted: 0, skipped: 0, failed: 0, errors: [] } };
+}
+
+/**
+ * ingestDocument({ text?, url?, title?, source?, publishedAt?, tags? }, { requireArticle })
+ * - url only: the page is downloaded and run through the article extractor
+ * - text: indexed as-is; without a url it gets a synthetic `urn:uuid:` key
+ * requireArticle: see indexArticle
+ */
+export async function ingestDocument({ text, url, title, source, publishedAt, tags } = {}, opts = {}) {
+  let item = { text, url, title, source, publishedAt, tags };
+
+  if (url && !text) {
+    const article = await fetchAndExtract(url);
+    if (!article.text) throw new Error(`No article text could be extracted from ${url}`);
+    item = {
+      ...item,
+      text: article.text,
+      title: title || article.title,
+      publishedAt: publishedAt || article.publishedAt,
+      tags: tags || article.tags,
+    };
+  }
+
+  if (!item.url) item.url = `urn:uuid:${uuidv4()}`;
+  if (!item.title) item.title = String(item.text).trim().split("\n")[0].slice(0, 120);
+  if (!item.source) {
+    try {
+      item.source = new URL(item.url).hostname.replace(/^www\./, "") || "manual";
+    } catch {
+      item.source = "manual";
+    }
+  }
+
+  return indexArticle(item, opts);
+}
+
+export default { indexArticle, ingestDocument };
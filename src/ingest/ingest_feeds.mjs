@@ -0,0 +1,167 @@
+// src/ingest/ingest_feeds.mjs
+// Feed ingestion: feed list -> feed items -> Article rows (Postgres) -> Qdrant.
+// Usage:
+//   node src/ingest/ingest_feeds.mjs
+//   node src/ingest/ingest_feeds.mjs --feeds src/ingest/feeds.txt --limit 100 --force
+
+import "dotenv/config";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import pLimit from "p-limit";
+
+import { readFeedsList, fetchFeedItems } from "./feeds.mjs";
+import { fetchAndExtract } from "./extract_article.mjs";
+import { indexArticle } from "./ingest_document.mjs";
+import vectorClient from "../services/vectorClient.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FEEDS_FILE = process.env.INGEST_FEEDS_FILE || join(__dirname, "feeds.txt");
+const PER_FEED_LIMIT = parseInt(process.env.INGEST_PER_FEED_LIMIT || "20", 10);
+const CONCURRENCY = parseInt(process.env.INGEST_CONCURRENCY || "6", 10);
+// download each item's page and index the full article instead of the feed teaser
+const FULL_TEXT = (process.env.INGEST_FULL_TEXT || "true") !== "false";
+
+function itemText(item) {
+  if (item.extracted) return String(item.text || "").trim();
+  return [item.title, item.text].filter(Boolean).join("\n\n").trim();
+}
+
+/** Replace the feed teaser with the extracted article body; keeps the teaser on failure */
+async function withFullText(item) {
+  if (!FULL_TEXT || item.extracted) return item;
+  try {
+    const article = await fetchAndExtract(item.url);
+    if (!article.paragraphs.length) return item;
+    return {
+      ...item,
+      title: item.title || article.title,
+      publishedAt: item.publishedAt || article.publishedAt,
+      byline: article.byline,
+      tags: item.tags?.length ? item.tags : article.tags,
+      text: article.text,
+      extracted: true,
+    };
+  } catch (err) {
+    console.warn("Full-text extraction failed, using feed text:", item.url, err.message || err);
+    return item;
+  }
+}
+
+/**
+ * runFeedIngest({ feedsFile?, limit?, force? })
+ * - limit: max number of items ingested across all feeds
+ * - force: re-fetch and re-index items whose chunks are all indexed already
+ * Items that are known but only partly indexed (an embedding batch failed) are
+ * indexed again; vectorClient.upsert embeds only the chunks that are missing.
+ * Returns { feeds, itemsSeen, itemsAdded, itemsSkipped, errors: [{ url, error }] }
+ */
+export async function runFeedIngest({
+  feedsFile = DEFAULT_FEEDS_FILE,
+  limit = 200,
+  force = false,
+} = {}) {
+  const start = Date.now();
+  const results = {
+    feeds: 0,
+    itemsSeen: 0,
+    itemsAdded: 0,
+    itemsSkipped: 0,
+    errors: [],
+  };
+
+  const feedUrls = await readFeedsList(feedsFile);
+  results.feeds = feedUrls.length;
+
+  const limiter = pLimit(CONCURRENCY);
+
+  // 1) fetch all feeds
+  const perFeed = await Promise.all(
+    feedUrls.map((feedUrl) =>
+      limiter(async () => {
+        try {
+          return await fetchFeedItems(feedUrl, { limit: PER_FEED_LIMIT });
+        } catch (err) {
+          results.errors.push({ url: feedUrl, error: err.message || String(err) });
+          return [];
+        }
+      })
+    )
+  );
+
+  // dedupe items across feeds on URL, then apply the global limit
+  const byUrl = new Map();
+  for (const item of perFeed.flat()) {
+    if (!byUrl.has(item.url)) byUrl.set(item.url, item);
+  }
+  const items = [...byUrl.values()].slice(0, limit);
+  results.itemsSeen = items.length;
+
+  // 2) record + index each item
+  await Promise.all(
+    items.map((feedItem) =>
+      limiter(async () => {
+        let item = feedItem;
+        try {
+          if (!force && (await vectorClient.isIndexed({ url: item.url }))) {
+            results.itemsSkipped += 1;
+            return;
+          }
+
+          item = await withFullText(item);
+          const text = itemText(item);
+          if (!text) {
+            results.itemsSkipped += 1;
+            return;
+          }
+
+          const { chunks } = await indexArticle({ ...item, text });
+          if (chunks.failed) {
+            // not fully indexed, so the next run picks it up again
+            results.errors.push({
+              url: item.url,
+              error: `${chunks.failed} chunks not embedded (retried on the next run): ${chunks.errors[0]?.error}`,
+            });
+            return;
+          }
+          results.itemsAdded += 1;
+        } catch (err) {
+          results.errors.push({ url: item.url, error: err.message || String(err) });
+        }
+      })
+    )
+  );
+
+  const elapsed = (Date.now() - start) / 1000;
+  console.log("--- Feed ingest summary ---");
+  console.log("Elapsed seconds:", elapsed);
+  console.log("Feeds:", results.feeds);
+  console.log("Items seen:", results.itemsSeen);
+  console.log("Items added:", results.itemsAdded);
+  console.log("Items skipped:", results.itemsSkipped);
+  console.log("Errors:", results.errors.length);
+  return results;
+}
+
+/** CLI */
+async function cli() {
+  const args = process.argv.slice(2);
+  const opts = {};
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--feeds") (opts.feedsFile = args[i + 1]), i++;
+    else if (a === "--limit") (opts.limit = parseInt(args[i + 1] || "200", 10)), i++;
+    else if (a === "--force") opts.force = true;
+  }
+  try {
+    const results = await runFeedIngest(opts);
+    process.exit(results.errors.length && !results.itemsAdded ? 1 : 0);
+  } catch (err) {
+    console.error("Feed ingest failed:", err);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith("ingest_feeds.mjs")) {
+  cli();
+}
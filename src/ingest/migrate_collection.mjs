@@ -0,0 +1,104 @@
+// src/ingest/migrate_collection.mjs
+// Re-embeds every chunk of QDRANT_COLLECTION with the active embedding provider
+// into a new versioned collection, then swaps the QDRANT_COLLECTION alias to it.
+// Pause ingestion while it runs: points written to the old collection after
+// they were copied are not carried over.
+// Usage:
+//   EMBED_PROVIDER=openai node src/ingest/migrate_collection.mjs
+//   node src/ingest/migrate_collection.mjs --batch 64 --force --drop-legacy --delete-old
+
+import "dotenv/config";
+import vectorClient from "../services/vectorClient.mjs";
+import { embedTexts, embeddingInfo } from "../services/embeddings.js";
+
+const ALIAS = process.env.QDRANT_COLLECTION || "articles";
+
+/**
+ * migrateCollection({ batchSize, force, dropLegacy, deleteOld })
+ * - force: migrate even when the collection already matches the active model
+ * - dropLegacy: allow replacing a plain (non-alias) QDRANT_COLLECTION with the alias
+ * - deleteOld: drop the previous physical collection after the swap
+ * Returns { source, target, copied, skipped } (target null when nothing was done).
+ */
+export async function migrateCollection({ batchSize = 64, force = false, dropLegacy = false, deleteOld = false } = {}) {
+  const info = embeddingInfo();
+  // the provider may not know its dimension up front
+  const [probe] = await embedTexts(["dimension probe"]);
+  const target = { provider: info.provider, model: info.model, dim: probe.length };
+
+  const source = await vectorClient.resolveCollection();
+  const sourceMeta = source ? await vectorClient.getCollectionMeta(source) : null;
+  if (sourceMeta && sourceMeta.model === target.model && sourceMeta.dim === target.dim && !force) {
+    console.log(`Collection "${source}" already uses ${target.model} (dim=${target.dim}); nothing to do (use --force to rebuild).`);
+    return { source, target: null, copied: 0, skipped: 0 };
+  }
+  console.log(
+    `Migrating ${source ? `"${source}" (${sourceMeta ? `${sourceMeta.model}, dim=${sourceMeta.dim}` : "no metadata"})` : "(empty)"} -> ${target.provider}/${target.model} (dim=${target.dim})`
+  );
+
+  const targetName = await vectorClient.createVersionedCollection(target);
+  let copied = 0;
+  let skipped = 0;
+  let offset;
+  try {
+    while (source) {
+      const page = await vectorClient.scrollPoints(source, { offset, limit: batchSize });
+      const withText = page.points.filter((p) => p.payload?.text);
+      skipped += page.points.length - withText.length;
+      if (withText.length) {
+        const vectors = await embedTexts(withText.map((p) => p.payload.text));
+        await vectorClient.upsertPoints(
+          targetName,
+          withText.map((p, i) => ({ id: p.id, vector: vectors[i], payload: p.payload }))
+        );
+        copied += withText.length;
+        console.log(`  copied ${copied} points...`);
+      }
+      offset = page.nextOffset;
+      if (offset === undefined) break;
+    }
+  } catch (err) {
+    console.error(`Migration failed; "${targetName}" was left in place for inspection and the alias was not changed.`);
+    throw err;
+  }
+
+  await vectorClient.pointAlias(targetName, { dropLegacy });
+  console.log(`Alias "${ALIAS}" now points to "${targetName}".`);
+
+  // a legacy plain collection was already deleted by pointAlias
+  if (deleteOld && source && source !== ALIAS) {
+    await vectorClient.dropCollection(source);
+    console.log(`Deleted previous collection "${source}".`);
+  }
+
+  return { source, target: targetName, copied, skipped };
+}
+
+/** CLI */
+async function cli() {
+  const args = process.argv.slice(2);
+  const opts = {};
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--batch") (opts.batchSize = parseInt(args[i + 1] || "64", 10)), i++;
+    else if (a === "--force") opts.force = true;
+    else if (a === "--drop-legacy") opts.dropLegacy = true;
+    else if (a === "--delete-old") opts.deleteOld = true;
+  }
+  try {
+    const result = await migrateCollection(opts);
+    console.log("--- Collection migration summary ---");
+    console.log("Source:", result.source);
+    console.log("Target:", result.target);
+    console.log("Copied:", result.copied);
+    console.log("Skipped (no text):", result.skipped);
+    process.exit(0);
+  } catch (err) {
+    console.error("Collection migration failed:", err.message || err);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] && process.argv[1].endsWith("migrate_collection.mjs")) {
+  cli();
+}
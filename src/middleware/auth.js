@@ -0,0 +1,138 @@
+// src/middleware/auth.js
+// Request authentication for the API routers.
+// - Users send `Authorization: Bearer <jwt>` (HS256, signed with AUTH_JWT_SECRET);
+//   the `sub` claim is the user id that owns sessions.
+// - Service callers send `X-API-Key: <key>`; each configured key acts as the
+//   user `key:<name>`.
+// The result is stored on `req.auth` = { userId, method: "jwt" | "apiKey" | "anonymous", keyName? }.
+// Env vars:
+// - AUTH_REQUIRED      "false" lets requests without credentials through as the
+//                      shared "anonymous" user (local development); default true.
+//                      The anonymous user stands in for a user token, so routes
+//                      restricted to API keys still require one.
+// - AUTH_JWT_SECRET    HMAC secret used to verify (and, via scripts/issue-token.mjs, sign) tokens
+// - AUTH_JWT_ISSUER    optional expected `iss`
+// - AUTH_JWT_AUDIENCE  optional expected `aud`
+// - AUTH_API_KEYS      comma-separated "name:key" pairs, e.g. "ingest-bot:s3cr3t,frontend-ssr:abc"
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const REQUIRED = (process.env.AUTH_REQUIRED || "true") !== "false";
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || "";
+const JWT_ISSUER = process.env.AUTH_JWT_ISSUER || undefined;
+const JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE || undefined;
+export const ANONYMOUS_USER = "anonymous";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+// name -> sha256(key); keys are compared by digest so timingSafeEqual sees equal lengths
+const API_KEYS = new Map(
+  (process.env.AUTH_API_KEYS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const i = pair.indexOf(":");
+      return i > 0 ? [pair.slice(0, i).trim(), sha256(pair.slice(i + 1).trim())] : null;
+    })
+    .filter(Boolean)
+);
+
+if (REQUIRED && !JWT_SECRET && !API_KEYS.size) {
+  console.warn("[auth] AUTH_REQUIRED is on but neither AUTH_JWT_SECRET nor AUTH_API_KEYS is set — every API request will be rejected");
+} else if (!REQUIRED) {
+  console.warn("[auth] AUTH_REQUIRED=false — requests without credentials share the anonymous user");
+}
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function verifyJwt(token) {
+  if (!JWT_SECRET) throw new AuthError("bearer tokens are not accepted (AUTH_JWT_SECRET not configured)");
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"], issuer: JWT_ISSUER, audience: JWT_AUDIENCE });
+  } catch (e) {
+    throw new AuthError(e.name === "TokenExpiredError" ? "token expired" : "invalid token");
+  }
+  if (!claims.sub || typeof claims.sub !== "string") throw new AuthError("token has no subject (sub)");
+  return { userId: claims.sub, method: "jwt" };
+}
+
+function verifyApiKey(key) {
+  const digest = sha256(key);
+  for (const [name, expected] of API_KEYS) {
+    if (crypto.timingSafeEqual(digest, expected)) return { userId: `key:${name}`, method: "apiKey", keyName: name };
+  }
+  throw new AuthError("invalid API key");
+}
+
+/**
+ * authenticate(req)
+ * Identity for the request's credentials; null when it carries none.
+ * Throws AuthError for credentials that do not verify.
+ */
+export function authenticate(req) {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) return verifyApiKey(apiKey.trim());
+  const token = bearerToken(req);
+  if (token) return verifyJwt(token);
+  return null;
+}
+
+/**
+ * requireAuth({ methods })
+ * Express middleware that sets req.auth or answers 401. `methods` restricts the
+ * accepted credentials (e.g. ["apiKey"] for service-only routes). With
+ * AUTH_REQUIRED=false, requests without credentials pass as the anonymous user on
+ * routes that accept user tokens ("jwt").
+ */
+export function requireAuth({ methods = ["jwt", "apiKey"] } = {}) {
+  return (req, res, next) => {
+    // CORS preflights carry no credentials
+    if (req.method === "OPTIONS") return next();
+    let identity;
+    try {
+      identity = authenticate(req);
+    } catch (err) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: err.message });
+    }
+    if (!identity && !REQUIRED && methods.includes("jwt")) {
+      identity = { userId: ANONYMOUS_USER, method: "anonymous" };
+    }
+    if (!identity) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ error: "authentication required (Authorization: Bearer <token> or X-API-Key)" });
+    }
+    if (!methods.includes(identity.method === "anonymous" ? "jwt" : identity.method)) {
+      return res.status(403).json({ error: `this route does not accept ${identity.method === "jwt" ? "user tokens" : "API keys"}` });
+    }
+    req.auth = identity;
+    next();
+  };
+}
+
+/** HS256 token for `userId`, for scripts and tests */
+export function signToken(userId, { expiresIn = "7d" } = {}) {
+  if (!JWT_SECRET) throw new AuthError("AUTH_JWT_SECRET is not set");
+  const opts = { algorithm: "HS256", subject: String(userId), expiresIn };
+  if (JWT_ISSUER) opts.issuer = JWT_ISSUER;
+  if (JWT_AUDIENCE) opts.audience = JWT_AUDIENCE;
+  return jwt.sign({}, JWT_SECRET, opts);
+}
+
+export default { requireAuth, authenticate, signToken };
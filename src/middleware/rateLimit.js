@@ -0,0 +1,194 @@
+// src/middleware/rateLimit.js
+// Request limits and daily token quotas for the routes that call paid APIs.
+// Callers are identified by their authenticated user (JWT subject or `key:<name>`
+// for API keys) and by IP address when anonymous.
+// Env vars:
+// - RATE_LIMIT_ENABLED    "false" to disable limits and quotas (default true)
+// - RATE_LIMIT_<ROUTE>    "<requests>/<window>" per caller, e.g. "20/1m", "500/1d";
+//                         "off" for no limit. Routes: CHAT (default 20/1m),
+//                         DOCUMENTS (default 30/1m), INGEST (default 5/1m)
+// - QUOTA_DAILY_TOKENS    LLM tokens per caller per UTC day (default 0 = unlimited)
+// - RATE_LIMIT_OVERRIDES  JSON of per-caller overrides keyed by user id, `key:<name>`
+//                         or `ip:<address>`, e.g.
+//                         {"key:ingest-bot":{"ingest":"60/1m"},"alice":{"chat":"off","dailyTokens":2000000}}
+
+import { z } from "zod/v4";
+import rateLimiter from "../services/rateLimiter.js";
+
+const ENABLED = (process.env.RATE_LIMIT_ENABLED || "true") !== "false";
+const DEFAULT_RULES = { chat: "20/1m", documents: "30/1m", ingest: "5/1m" };
+const DAILY_TOKENS = parseInt(process.env.QUOTA_DAILY_TOKENS || "0", 10);
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+/** "20/1m" -> { limit: 20, windowMs: 60000, label: "1m" }; null for "off" or no limit */
+export function parseRule(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text || text === "off" || text === "0") return null;
+  const m = text.match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!m || !Number(m[1])) throw new Error(`invalid rate limit "${value}" (expected e.g. "20/1m")`);
+  const count = m[2] ? Number(m[2]) : 1;
+  return { limit: Number(m[1]), windowMs: count * UNIT_MS[m[3]], label: `${count}${m[3]}` };
+}
+
+// caller -> { <route>: rule | null, dailyTokens? }; invalid entries are dropped with a warning
+function loadOverrides() {
+  if (!process.env.RATE_LIMIT_OVERRIDES) return {};
+  let raw;
+  try {
+    raw = JSON.parse(process.env.RATE_LIMIT_OVERRIDES);
+  } catch (e) {
+    console.warn("[rateLimit] RATE_LIMIT_OVERRIDES is not valid JSON — ignored:", e.message);
+    return {};
+  }
+  const out = {};
+  for (const [caller, entry] of Object.entries(raw || {})) {
+    out[caller] = {};
+    for (const [route, value] of Object.entries(entry || {})) {
+      if (route === "dailyTokens") {
+        out[caller].dailyTokens = Number(value) || 0;
+        continue;
+      }
+      try {
+        out[caller][route] = parseRule(value);
+      } catch (e) {
+        console.warn(`[rateLimit] override ${caller}.${route} ignored:`, e.message);
+      }
+    }
+  }
+  return out;
+}
+const OVERRIDES = loadOverrides();
+
+/** Key the caller is counted under */
+export function callerKey(req) {
+  if (req.auth && req.auth.method !== "anonymous") return req.auth.userId;
+  return `ip:${req.ip}`;
+}
+
+function routeRule(route) {
+  return parseRule(process.env[`RATE_LIMIT_${route.toUpperCase()}`] ?? DEFAULT_RULES[route]);
+}
+
+function dailyTokensFor(caller) {
+  const override = OVERRIDES[caller]?.dailyTokens;
+  return override !== undefined ? override : DAILY_TOKENS;
+}
+
+/** 429 body (documented in the OpenAPI responses of limited routes) */
+export const rateLimitedSchema = z.strictObject({
+  error: z.string(),
+  retryAfter: z.number().int().describe("seconds; same as the Retry-After header"),
+});
+
+function tooMany(res, retryAfterMs, error) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+/**
+ * rateLimit(route)
+ * Middleware limiting each caller to the route's rule; answers 429 with
+ * Retry-After when the window is full. Fails open if the limiter itself errors.
+ */
+export function rateLimit(route) {
+  // parsed when the router is built, so a bad RATE_LIMIT_<ROUTE> fails at startup
+  const defaultRule = routeRule(route);
+  return async (req, res, next) => {
+    if (!ENABLED) return next();
+    const caller = callerKey(req);
+    const override = OVERRIDES[caller];
+    const rule = override && route in override ? override[route] : defaultRule;
+    if (!rule) return next();
+    let result;
+    try {
+      result = await rateLimiter.hit(`${route}:${caller}`, rule);
+    } catch (err) {
+      console.warn("[rateLimit] limiter failed, letting the request through:", err && err.message ? err.message : err);
+      return next();
+    }
+    res.set("X-RateLimit-Limit", String(rule.limit));
+    res.set("X-RateLimit-Remaining", String(result.remaining));
+    if (!result.allowed) {
+      return tooMany(res, result.retryAfterMs, `rate limit exceeded: ${rule.limit} ${route} requests per ${rule.label}`);
+    }
+    next();
+  };
+}
+
+/**
+ * tokenQuota({ reserve })
+ * Middleware reserving `reserve(req)` tokens (the request's worst case) against
+ * the caller's daily quota before the handler runs, so parallel requests cannot
+ * all pass a check made before any of them finished. Answers 429 with
+ * Retry-After until UTC midnight when the reservation does not fit.
+ * recordUsage() settles the reservation to the actual usage (plus what addUsage()
+ * noted); a reservation still open when the response closes is settled to the
+ * addUsage() total, the rest given back.
+ */
+export function tokenQuota({ reserve = () => 0 } = {}) {
+  return async (req, res, next) => {
+    if (!ENABLED) return next();
+    const caller = callerKey(req);
+    const quota = dailyTokensFor(caller);
+    if (!quota) return next();
+    const tokens = Math.max(Math.ceil(Number(reserve(req)) || 0), 0);
+    let result;
+    try {
+      result = await rateLimiter.reserveTokens(caller, tokens, quota);
+    } catch (err) {
+      console.warn("[rateLimit] quota check failed, letting the request through:", err && err.message ? err.message : err);
+      return next();
+    }
+    if (!result.reserved) {
+      return tooMany(res, rateLimiter.msUntilReset(), `daily token quota exhausted (${result.used}/${quota})`);
+    }
+    const held = { caller, tokens, day: result.day, used: 0, settled: false };
+    req.tokenReservation = held;
+    res.on("close", () => {
+      if (held.settled) return;
+      held.settled = true;
+      adjust(caller, held.used - tokens, held.day);
+    });
+    next();
+  };
+}
+
+async function adjust(caller, tokens, day) {
+  try {
+    await rateLimiter.addTokens(caller, tokens, day);
+  } catch (err) {
+    console.warn("[rateLimit] recording usage failed:", err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Notes `tokens` spent before the request's final call (e.g. a query rewrite); they
+ * stay inside the reservation and are counted when it settles, even if the request fails.
+ */
+export async function addUsage(req, tokens) {
+  if (!ENABLED) return;
+  const held = req.tokenReservation;
+  if (held && !held.settled) {
+    held.used += Math.ceil(Number(tokens) || 0);
+    return;
+  }
+  await adjust(callerKey(req), tokens);
+}
+
+/** Counts `tokens` against the caller's daily quota, settling the request's reservation (best-effort) */
+export async function recordUsage(req, tokens) {
+  if (!ENABLED) return;
+  const held = req.tokenReservation;
+  if (held && !held.settled) {
+    held.settled = true;
+    return adjust(held.caller, held.used + Math.ceil(Number(tokens) || 0) - held.tokens, held.day);
+  }
+  try {
+    await rateLimiter.addTokens(callerKey(req), tokens);
+  } catch (err) {
+    console.warn("[rateLimit] recording usage failed:", err && err.message ? err.message : err);
+  }
+}
+
+export default { rateLimit, tokenQuota, addUsage, recordUsage, callerKey, parseRule, rateLimitedSchema };
@@ -0,0 +1,114 @@
+// src/middleware/validate.js
+// Schema validation of route input with zod. Routes declare their params, query and
+// body schemas through route(); the declarations are also collected here so the
+// OpenAPI document (src/openapi.js) is generated from the very same schemas.
+// Invalid input answers 400 { error: { code: "VALIDATION_ERROR", message, details } },
+// details = [{ location: "body" | "query" | "params", path, message }].
+
+import { z } from "zod/v4";
+
+const routes = [];
+
+/** 400 body of invalid input */
+export const validationErrorSchema = z.strictObject({
+  error: z.strictObject({
+    code: z.enum(["VALIDATION_ERROR", "INVALID_JSON", "PAYLOAD_TOO_LARGE"]),
+    message: z.string(),
+    details: z.array(
+      z.strictObject({
+        location: z.enum(["body", "query", "params", "header"]),
+        path: z.string(),
+        message: z.string(),
+      })
+    ),
+  }),
+});
+
+/** Body of the other client and server errors (401, 404, 409, 5xx ...) */
+export const errorMessageSchema = z.object({ error: z.string() });
+
+/** Error body shared by validation and other client errors */
+export function errorResponse(res, status, code, message, details = []) {
+  return res.status(status).json({ error: { code, message, details } });
+}
+
+function issuesOf(location, error) {
+  return error.issues.map((issue) => ({ location, path: issue.path.join("."), message: issue.message }));
+}
+
+function summarize(details) {
+  return `invalid request: ${details
+    .map((d) => `${d.location}${d.path ? `.${d.path}` : ""}: ${d.message}`)
+    .join("; ")}`;
+}
+
+/**
+ * validate({ params, query, body })
+ * Middleware parsing each given part of the request with its zod schema. Parsed
+ * values (defaults applied, transforms run) are stored on req.valid; the body also
+ * replaces req.body.
+ */
+export function validate({ params, query, body } = {}) {
+  return (req, res, next) => {
+    const details = [];
+    const valid = {};
+    const parts = [
+      ["params", params, req.params],
+      ["query", query, req.query],
+      ["body", body, req.body ?? {}],
+    ];
+    for (const [location, schema, value] of parts) {
+      if (!schema) continue;
+      const result = schema.safeParse(value);
+      if (result.success) valid[location] = result.data;
+      else details.push(...issuesOf(location, result.error));
+    }
+    if (details.length) return errorResponse(res, 400, "VALIDATION_ERROR", summarize(details), details);
+    req.valid = valid;
+    if (valid.body) req.body = valid.body;
+    next();
+  };
+}
+
+/**
+ * route(spec)
+ * Registers a route for the OpenAPI document and returns its validation middleware.
+ * spec: { method, path (OpenAPI form, e.g. "/chat/{sessionId}/stream"), summary,
+ *         description?, tags?, auth?: "user" | "service" | "none",
+ *         params?, query?, body?: zod schemas,
+ *         responses?: { <status>: description | { description, schema? (JSON body),
+ *                       content?: { <media type>: schema } } } }
+ * Response schemas document what the handler sends; scripts/test-openapi.mjs checks
+ * real responses against them.
+ */
+export function route(spec) {
+  routes.push(spec);
+  return validate(spec);
+}
+
+/** Route declarations in registration order */
+export function registeredRoutes() {
+  return routes.slice();
+}
+
+/** Path parameter holding a UUID */
+export const uuidParam = (description) => z.uuid().describe(description);
+
+/** Declared response for a status: { description, content: { <media type>: schema } } */
+export function responseSpec(spec, status) {
+  const declared = spec.responses?.[status];
+  if (declared == null) return null;
+  const r = typeof declared === "string" ? { description: declared } : declared;
+  return { description: r.description, content: r.content || (r.schema ? { "application/json": r.schema } : {}) };
+}
+
+export default {
+  validate,
+  route,
+  registeredRoutes,
+  responseSpec,
+  errorResponse,
+  uuidParam,
+  validationErrorSchema,
+  errorMessageSchema,
+};
@@ -0,0 +1,131 @@
+// src/openapi.js
+// OpenAPI 3.1 document built from the route declarations registered through
+// route() in src/middleware/validate.js — the same zod schemas that validate requests
+// and describe responses (SSE streams included). Served at /openapi.json, with an
+// interactive page at /docs. The routers must be imported before
+// buildOpenApiDocument() is called.
+
+import { createRequire } from "module";
+import { z } from "zod/v4";
+import { registeredRoutes, responseSpec, validationErrorSchema, errorMessageSchema } from "./middleware/validate.js";
+
+const pkg = createRequire(import.meta.url)("../package.json");
+
+const SECURITY = {
+  user: [{ bearerAuth: [] }, { apiKey: [] }],
+  service: [{ apiKey: [] }],
+  none: [],
+};
+
+/** JSON Schema of a zod schema: what clients send (io "input") or receive ("output") */
+export function toSchema(schema, io = "input") {
+  const { $schema, ...json } = z.toJSONSchema(schema, { io, unrepresentable: "any" });
+  return json;
+}
+
+function parametersOf(location, schema) {
+  if (!schema) return [];
+  const json = toSchema(schema);
+  const required = new Set(json.required || []);
+  return Object.entries(json.properties || {}).map(([name, prop]) => {
+    const { description, ...rest } = prop;
+    const param = {
+      name,
+      in: location === "params" ? "path" : "query",
+      required: location === "params" || required.has(name),
+      schema: rest,
+    };
+    if (description) param.description = description;
+    return param;
+  });
+}
+
+function responseOf(spec, status) {
+  const { description, content } = responseSpec(spec, status);
+  const out = { description };
+  const types = Object.entries(content);
+  if (types.length) {
+    out.content = Object.fromEntries(types.map(([type, schema]) => [type, { schema: toSchema(schema, "output") }]));
+  }
+  return out;
+}
+
+function operationOf(spec) {
+  const op = { summary: spec.summary, tags: spec.tags || [] };
+  if (spec.description) op.description = spec.description;
+  const parameters = [...parametersOf("params", spec.params), ...parametersOf("query", spec.query)];
+  if (parameters.length) op.parameters = parameters;
+  if (spec.body) {
+    op.requestBody = { required: true, content: { "application/json": { schema: toSchema(spec.body) } } };
+  }
+  op.responses = {};
+  for (const status of Object.keys(spec.responses || {})) op.responses[status] = responseOf(spec, status);
+  if ((spec.params || spec.query || spec.body) && !op.responses[400]) {
+    op.responses[400] = {
+      description: "invalid input",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationError" } } },
+    };
+  }
+  const auth = spec.auth || "none";
+  op.security = SECURITY[auth];
+  if (auth !== "none" && !op.responses[401]) {
+    op.responses[401] = {
+      description: "missing or invalid credentials",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+    };
+  }
+  return op;
+}
+
+/** The OpenAPI 3.1 document for every registered route */
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const spec of registeredRoutes()) {
+    paths[spec.path] = paths[spec.path] || {};
+    paths[spec.path][spec.method] = operationOf(spec);
+  }
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Voosh Backend API",
+      version: pkg.version,
+      description:
+        "Retrieval-augmented chat over ingested news feeds. `POST /chat` streams Server-Sent Events; " +
+        "the `text/event-stream` schemas describe each frame as `{ id, event, data }` with `data` JSON-decoded.",
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      schemas: {
+        ValidationError: toSchema(validationErrorSchema, "output"),
+        Error: toSchema(errorMessageSchema, "output"),
+      },
+    },
+  };
+}
+
+/** Swagger UI page for the document at `specUrl` (assets from the jsDelivr CDN) */
+export function docsPage(specUrl = "/openapi.json") {
+  const ui = "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5";
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Voosh Backend API</title>
+  <link rel="stylesheet" href="${ui}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${ui}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+export default { buildOpenApiDocument, docsPage, toSchema };
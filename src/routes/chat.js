@@ -1,24 +1,40 @@
 // src/routes/chat.js
-// Streaming-only chat route via SSE
-// POST /chat { sessionId?: string, message: string }
-// Always streams responses; client must accept SSE.
+// Chat route: retrieval-augmented answers, streamed via SSE by default.
+// POST /chat { sessionId?: string, message: string, filters?: { sources?, publishedAfter?, publishedBefore?, tags? } }
+// `?stream=false` or `Accept: application/json` returns one JSON body instead:
+//   { sessionId, answer, sources, usage }
+// GET /chat/:sessionId/stream resumes an interrupted SSE stream (Last-Event-ID);
+// POST /chat/:sessionId/stop cancels a running generation.
+// All routes act for the authenticated user (req.auth); other users' sessions answer 404.
 
 import express from "express";
-import sessionStore from "../services/sessionStore.js";
-import vectorClient from "../services/vectorClient.mjs";
-import llmClient from "../services/llmClient.js";
-import { v4 as uuidv4 } from "uuid";
-import { buildPrompt } from "../utils/promptBuilder.js";
+import sessionStore, { SessionNotFoundError } from "../services/sessionStore.js";
+import hybridSearch from "../services/hybridSearch.js";
+import reranker from "../services/reranker.js";
+import queryRewriter from "../services/queryRewriter.js";
+import llmClient, { LlmError } from "../services/llmClient.js";
+import { EmbeddingError } from "../services/embeddings.js";
+import { EmbeddingMismatchError } from "../services/vectorClient.mjs";
+import { buildPrompt, maxPromptChars } from "../utils/promptBuilder.js";
+import { parseFilters, FilterValidationError } from "../utils/searchFilters.js";
+import streamBuffer from "../services/streamBuffer.js";
+import { openSse, formatEvent } from "../utils/sse.js";
+import { rateLimit, tokenQuota, addUsage, recordUsage, rateLimitedSchema } from "../middleware/rateLimit.js";
+import { route, errorResponse, uuidParam, errorMessageSchema } from "../middleware/validate.js";
+import { z } from "zod/v4";
 
 const router = express.Router();
 
 
 
+// Point ids are deterministic per (url, chunkIndex), so this only guards against
+// legacy points indexed before that; distinct passages of one article are kept.
 function dedupeHits(hits = []) {
   const seen = new Set();
   const out = [];
   for (const h of hits) {
-    const key = (h.url || h.title || "").trim();
+    const base = (h.url || h.title || "").trim();
+    const key = base && h.chunkIndex != null ? `${base}#${h.chunkIndex}` : base;
     if (!key) continue;
     if (seen.has(key)) continue;
     seen.add(key);
@@ -30,108 +46,585 @@ function dedupeHits(hits = []) {
 // add near top of router.post handler or file-level top, e.g. after dedupeHits/formatSources:
 const MAX_OUTPUT_TOKENS = parseInt(process.env.RAG_MAX_TOKENS || process.env.LLM_MAX_OUTPUT_TOKENS || "1024", 10);
 const MAX_CONTEXT_CHARS = parseInt(process.env.RAG_MAX_CONTEXT_CHARS || "5000", 10);
+// how long a generation keeps running after its SSE client disconnected, waiting for a resume
+const RESUME_GRACE_MS = parseInt(process.env.SSE_RESUME_GRACE_MS || "15000", 10);
+// upper bound for one streamed turn (retrieval + generation)
+const STREAM_TIMEOUT_MS = parseInt(process.env.CHAT_STREAM_TIMEOUT_MS || "120000", 10);
+const MAX_MESSAGE_CHARS = parseInt(process.env.CHAT_MAX_MESSAGE_CHARS || "4000", 10);
 
+const api = (spec) => route({ tags: ["chat"], auth: "user", ...spec });
 
+const stringList = z.union([z.string(), z.array(z.string())]);
+const dateBound = z.union([z.string(), z.number()]);
+// shape for validation and docs; parseFilters() then checks dates and normalizes values
+const filtersSchema = z
+  .strictObject({
+    sources: stringList.optional().describe("source names or domains (e.g. \"bbc.co.uk\")"),
+    tags: stringList.optional().describe("match any of these tags"),
+    publishedAfter: dateBound.optional().describe('ISO 8601 date or a relative age like "7d", "12h", "2w"'),
+    publishedBefore: dateBound.optional().describe('ISO 8601 date or a relative age like "7d", "12h", "2w"'),
+  })
+  .nullable()
+  .optional()
+  .transform((raw, ctx) => {
+    try {
+      return parseFilters(raw);
+    } catch (err) {
+      if (!(err instanceof FilterValidationError)) throw err;
+      for (const message of err.details) ctx.addIssue({ code: "custom", message });
+      return z.NEVER;
+    }
+  });
+
+const chatBody = z.object({
+  sessionId: z.uuid().optional().describe("continue this session; a new one is created when omitted"),
+  message: z
+    .string()
+    .max(MAX_MESSAGE_CHARS)
+    .refine((m) => m.trim().length > 0, "message must not be empty"),
+  filters: filtersSchema,
+});
+const chatQuery = z.object({
+  stream: z.enum(["true", "false"]).optional().describe('"false" returns one JSON body instead of SSE'),
+});
+const sessionParams = z.object({ sessionId: uuidParam("session id") });
+const resumeQuery = z.object({
+  lastEventId: z.string().optional().describe("alternative to the Last-Event-ID header: <streamId>:<seq>"),
+});
+
+const sourceSchema = z.strictObject({
+  title: z.string().nullable(),
+  url: z.string().nullable(),
+  articleId: z.string().nullable(),
+  chunkIndex: z.number().int().nullable(),
+  source: z.string().nullable(),
+  publishedAt: z.string().nullable(),
+});
+const usageSchema = z
+  .strictObject({
+    promptTokens: z.number().nullable(),
+    completionTokens: z.number().nullable(),
+    totalTokens: z.number().nullable(),
+  })
+  .nullable();
+const retrievalSchema = z.strictObject({
+  rank: z.number().int(),
+  id: z.union([z.string(), z.number()]).nullable(),
+  url: z.string().nullable(),
+  chunkIndex: z.number().int().nullable(),
+  score: z.number().nullable(),
+  rankReason: z.string().nullable(),
+});
+const answerSchema = z.strictObject({
+  sessionId: z.string(),
+  answer: z.string(),
+  sources: z.array(sourceSchema),
+  usage: usageSchema,
+  aborted: z.literal(true).optional().describe("generation was cancelled; answer is partial"),
+});
+
+// one SSE frame, `data` JSON-decoded
+const sseFrame = (event, data, description) =>
+  z
+    .strictObject({
+      id: z.string().optional().describe("<streamId>:<seq>, for Last-Event-ID"),
+      event: z.literal(event),
+      data,
+    })
+    .describe(description);
+const chatEvents = z.discriminatedUnion("event", [
+  sseFrame(
+    "session",
+    z.strictObject({ sessionId: z.string(), streamId: z.string(), rewrittenQuery: z.string().nullable() }),
+    "first frame: the session (created if needed) and the stream id"
+  ),
+  sseFrame("message", z.strictObject({ delta: z.string() }), "a piece of the answer"),
+  sseFrame(
+    "done",
+    z.strictObject({
+      sessionId: z.string(),
+      answer: z.string(),
+      sources: z.array(sourceSchema),
+      rewrittenQuery: z.string().nullable(),
+      retrieval: z.array(retrievalSchema),
+      usage: usageSchema,
+      aborted: z.boolean(),
+    }),
+    "last frame of a completed (or cancelled) answer"
+  ),
+  sseFrame(
+    "error",
+    z.strictObject({
+      code: z.enum([
+        "TIMEOUT",
+        "SESSION_NOT_FOUND",
+        "EMBEDDING_MISMATCH",
+        "EMBEDDING_FAILED",
+        "LLM_RATE_LIMITED",
+        "LLM_FAILED",
+        "INTERNAL",
+      ]),
+      error: z.string(),
+      details: z.unknown().optional(),
+    }),
+    "last frame when the turn failed"
+  ),
+]);
+
+// one source entry per article (first = best-ranked passage)
 function formatSources(hits = [], maxSources = 6) {
+  const seen = new Set();
   return (hits || [])
+    .filter((h) => {
+      const key = h.url || h.title;
+      if (!key) return true;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
     .slice(0, maxSources)
-    .map((h) => ({ title: h.title || null, url: h.url || null }));
+    .map((h) => ({
+      title: h.title || null,
+      url: h.url || null,
+      articleId: h.articleId ?? null,
+      chunkIndex: h.chunkIndex ?? null,
+      source: h.source ?? null,
+      publishedAt: h.publishedAt ?? null,
+    }));
 }
 
-router.post("/", async (req, res) => {
-  try {
-    const { sessionId: incomingSessionId, message } = req.body || {};
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: "message (string) is required" });
-    }
+// per-hit debug info for the done event: final score and why it ranked there
+function formatRetrieval(hits = []) {
+  return hits.map((h, i) => ({
+    rank: i + 1,
+    id: h.id ?? null,
+    url: h.url || null,
+    chunkIndex: h.chunkIndex ?? null,
+    score: h.score ?? null,
+    rankReason: h.rankReason || null,
+  }));
+}
+
+// 404 unknown or foreign session, 502 upstream model failure, 503 index unusable, 500 anything else
+// (input errors are answered by the validation middleware before the handler runs)
+function statusFor(err) {
+  if (err instanceof SessionNotFoundError) return 404;
+  if (err instanceof EmbeddingMismatchError) return 503;
+  if (err instanceof LlmError || err instanceof EmbeddingError) return 502;
+  return 500;
+}
+
+class ChatTimeoutError extends Error {
+  constructor(ms) {
+    super(`chat stream exceeded ${ms}ms`);
+    this.name = "ChatTimeoutError";
+  }
+}
+
+// machine-readable code for SSE `error` events
+function errorCode(err) {
+  if (err instanceof ChatTimeoutError) return "TIMEOUT";
+  if (err instanceof SessionNotFoundError) return "SESSION_NOT_FOUND";
+  if (err instanceof EmbeddingMismatchError) return "EMBEDDING_MISMATCH";
+  if (err instanceof EmbeddingError) return "EMBEDDING_FAILED";
+  if (err instanceof LlmError) return err.status === 429 ? "LLM_RATE_LIMITED" : "LLM_FAILED";
+  return "INTERNAL";
+}
+
+function errorBody(err) {
+  const body = { error: err.message || "internal error" };
+  if (err.details) body.details = err.details;
+  return body;
+}
+
+// JSON when asked for explicitly (?stream=false or an Accept that prefers JSON over SSE)
+function wantsJson(req) {
+  if (String(req.query.stream).toLowerCase() === "false") return true;
+  return req.accepts(["text/event-stream", "application/json"]) === "application/json";
+}
+
+function generationOpts() {
+  return {
+    chunkSize: parseInt(process.env.LLM_CHUNK_SIZE || "120", 10),
+    delayMs: parseInt(process.env.LLM_CHUNK_DELAY_MS || "20", 10),
+    maxOutputTokens: MAX_OUTPUT_TOKENS,
+  };
+}
+
+/**
+ * resolveSession(sessionId, userId)
+ * Id of the session the turn goes to: the caller's existing session, or a new one
+ * (with a server-generated id) when none is given. An unknown id — or one whose
+ * meta could not be read just now — and another user's session throw
+ * SessionNotFoundError; the id is never used to create a session.
+ */
+async function resolveSession(sessionId, userId) {
+  if (sessionId) {
+    await sessionStore.getOwnedSession(sessionId, userId);
+    return sessionId;
+  }
+  return sessionStore.createSession({ title: "New chat", userId });
+}
+
+/** Validated request ({ sessionId, message, filters }) with its session resolved for the caller */
+async function readChatRequest(req) {
+  const request = { ...req.valid.body };
+  request.sessionId = await resolveSession(request.sessionId, req.auth.userId);
+  return request;
+}
+
+/**
+ * prepareTurn(request, { signal, onUsage })
+ * Shared by the SSE and JSON modes: records the user message, rewrites
+ * follow-ups, retrieves, reranks and builds the prompt. `signal` cancels the
+ * rewrite's LLM call; `onUsage(tokens)` is told what that call used.
+ * Returns { sessionId, rewrittenQuery, hits, sources, prompt }.
+ */
+async function prepareTurn({ sessionId, message, filters }, { signal = null, onUsage = async () => {} } = {}) {
+  // Append user message
+  await sessionStore.appendMessage(sessionId, {
+    role: "user",
+    text: message,
+    ts: Date.now(),
+  });
+
+  const recent = await sessionStore.getMessages(sessionId, 8);
+
+  // condense follow-ups ("what about the second one?") into a standalone query
+  const last = recent[recent.length - 1];
+  const history = last && last.role === "user" && last.text === message ? recent.slice(0, -1) : recent;
+  const rewrite = await queryRewriter.rewriteQuery(message, history, { signal });
+  if (rewrite.tokens) await onUsage(rewrite.tokens);
+  const { query: searchQuery, method: rewriteMethod } = rewrite;
+  const rewrittenQuery = rewriteMethod === "none" ? null : searchQuery;
+
+  const topK = parseInt(process.env.RAG_TOPK || "4", 10);
+  // over-fetch when a reranker will pick the final topK
+  const fetchK = reranker.STRATEGY === "none" ? topK : Math.max(reranker.CANDIDATES, topK);
+  const rawHits = await hybridSearch.search(searchQuery, fetchK, { filters });
+  const hits = await reranker.rerank(searchQuery, dedupeHits(rawHits), { topK });
+  const maxSources = parseInt(process.env.RAG_MAX_SOURCES || "6", 10);
+  const sources = formatSources(hits, maxSources);
+
+  const prompt = buildPrompt({
+    recentMessages: recent,
+    hits,
+    question: message,
+    maxContextChars: MAX_CONTEXT_CHARS,
+  });
+
+  return { sessionId, rewrittenQuery, hits, sources, prompt };
+}
+
+async function saveAnswer(sessionId, text, { aborted = false } = {}) {
+  await sessionStore.appendMessage(sessionId, {
+    role: "assistant",
+    text,
+    ts: Date.now(),
+    aborted,
+  });
+}
+
+// sessionId -> AbortController of the generation running in this process
+const activeGenerations = new Map();
 
-    // create session if not provided
-    let sessionId = incomingSessionId;
-    if (!sessionId) {
-      // createSession may return an id string or an object with id — handle both
-      const created = await sessionStore.createSession
-        ? await sessionStore.createSession({ title: "New chat" })
-        : null;
-      sessionId = created && created.id ? created.id : created || uuidv4();
+/**
+ * generate(turn, res, opts, onChunk, { streamId, signal })
+ * Runs the LLM for a prepared turn and persists the answer. The call is aborted
+ * when the client goes away or POST /chat/:sessionId/stop is called; the partial
+ * answer is then saved with `aborted: true`. For a buffered SSE stream (streamId)
+ * a disconnect only aborts if no client resumes it within SSE_RESUME_GRACE_MS.
+ * Returns { answer, usage, aborted }.
+ */
+async function generate(turn, res, opts, onChunk = () => {}, { streamId = null, signal = null } = {}) {
+  const controller = new AbortController();
+  // an outer signal (the stream's overall deadline) cancels the call as well
+  signal?.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+  activeGenerations.get(turn.sessionId)?.abort("superseded");
+  activeGenerations.set(turn.sessionId, controller);
+  let graceTimer = null;
+  const abortUnlessResumed = async () => {
+    if (controller.signal.aborted) return;
+    if (await streamBuffer.isFollowed(streamId)) {
+      graceTimer = setTimeout(abortUnlessResumed, RESUME_GRACE_MS);
+      return;
     }
+    controller.abort("client disconnected");
+  };
+  const onClose = () => {
+    if (res.writableFinished || controller.signal.aborted) return;
+    if (!streamId || RESUME_GRACE_MS <= 0) return controller.abort("client disconnected");
+    // give a reconnecting client (Last-Event-ID) the chance to pick the stream up
+    graceTimer = setTimeout(abortUnlessResumed, RESUME_GRACE_MS);
+  };
+  res.on("close", onClose);
 
-    // Append user message
-    await sessionStore.appendMessage(sessionId, {
-      role: "user",
-      text: message,
-      ts: Date.now(),
+  let answer = "";
+  try {
+    const llmResult = await llmClient.generateStream(turn.prompt, { ...opts, signal: controller.signal }, async (chunk) => {
+      if (controller.signal.aborted) return;
+      answer += chunk;
+      await onChunk(chunk);
     });
+    await saveAnswer(turn.sessionId, answer);
+    return { answer, usage: llmResult.usage, aborted: false };
+  } catch (err) {
+    if (!controller.signal.aborted) throw err;
+    console.log(`[chat] generation for ${turn.sessionId} aborted (${controller.signal.reason}) after ${answer.length} chars`);
+    await saveAnswer(turn.sessionId, answer, { aborted: true });
+    return { answer, usage: null, aborted: true };
+  } finally {
+    clearTimeout(graceTimer);
+    res.off("close", onClose);
+    if (activeGenerations.get(turn.sessionId) === controller) activeGenerations.delete(turn.sessionId);
+  }
+}
+
+// held against the daily quota until the turn settles: the longest answer, the
+// largest prompt (retrieval context, history and question; ~4 chars per token)
+// and the follow-up rewrite's LLM call
+function worstCaseTokens(req) {
+  const { message } = req.valid.body;
+  const promptChars = maxPromptChars({ question: message, maxContextChars: MAX_CONTEXT_CHARS });
+  return MAX_OUTPUT_TOKENS + Math.ceil(promptChars / 4) + queryRewriter.tokenBudget(message);
+}
 
-    const topK = parseInt(process.env.RAG_TOPK || "4", 10);
-    const rawHits = await vectorClient.search(message, topK);
-    const hits = dedupeHits(rawHits);
-    const maxSources = parseInt(process.env.RAG_MAX_SOURCES || "6", 10);
-    const sources = formatSources(hits, maxSources);
+/**
+ * Signal for the work before generation starts: aborts when the client goes away
+ * (no stream to resume yet) or when `signal` (the stream's deadline) aborts.
+ */
+function preparationSignal(res, signal = null) {
+  const controller = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) controller.abort("client disconnected");
+  });
+  signal?.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+  return controller.signal;
+}
 
-    const recent = await sessionStore.getMessages(sessionId, 8);
+// count the turn against the caller's daily token quota; cancelled calls report
+// no usage, so estimate those from prompt and partial answer (~4 chars per token)
+function countTokens(req, turn, result) {
+  const tokens = result.usage?.totalTokens ?? Math.ceil((turn.prompt.length + result.answer.length) / 4);
+  return recordUsage(req, tokens);
+}
 
-    const prompt = buildPrompt({
-      recentMessages: recent,
-      hits,
-      question: message,
-      maxContextChars: MAX_CONTEXT_CHARS,
-    });
+/** ?stream=false / Accept: application/json — one JSON response */
+async function respondJson(req, res) {
+  const turn = await prepareTurn(await readChatRequest(req), {
+    signal: preparationSignal(res),
+    onUsage: (tokens) => addUsage(req, tokens),
+  });
+  // nobody watches the chunks arrive, so skip the simulated streaming delay
+  const result = await generate(turn, res, { ...generationOpts(), delayMs: 0 });
+  await countTokens(req, turn, result);
+  if (res.writableEnded || res.destroyed) return;
+  const body = { sessionId: turn.sessionId, answer: result.answer, sources: turn.sources, usage: result.usage };
+  if (result.aborted) body.aborted = true;
+  res.json(body);
+}
+
+/** Rejects with `signal.reason` once the signal aborts */
+function untilAborted(signal) {
+  return new Promise((_, reject) => {
+    if (signal.aborted) reject(signal.reason);
+    else signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
+}
 
-    // --- Always streaming via SSE ---
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache, no-transform");
-    res.setHeader("Connection", "keep-alive");
-    res.flushHeaders?.();
+/**
+ * Default mode — Server-Sent Events: session, message (deltas), done | error.
+ * Every event carries `id: <streamId>:<seq>` and is buffered for replay
+ * (GET /chat/:sessionId/stream with Last-Event-ID). Heartbeat comments keep the
+ * connection alive while retrieval and the model are slow, and the whole turn is
+ * bounded by CHAT_STREAM_TIMEOUT_MS (then `error` with code TIMEOUT).
+ */
+async function respondStream(req, res) {
+  // session errors still get a plain 404 before the stream opens
+  const request = await readChatRequest(req);
+  const stopHeartbeat = openSse(res);
+
+  const deadline = new AbortController();
+  const timer = setTimeout(() => deadline.abort(new ChatTimeoutError(STREAM_TIMEOUT_MS)), STREAM_TIMEOUT_MS);
+  let stream = null;
+
+  // buffer every event; write it too while the original client is still connected
+  const send = (event, data) => {
+    const entry = stream ? stream.append(event, data) : { event, data };
+    if (!res.writableEnded && !res.destroyed) res.write(formatEvent(entry));
+  };
+
+  try {
+    const preparing = prepareTurn(request, {
+      signal: preparationSignal(res, deadline.signal),
+      onUsage: (tokens) => addUsage(req, tokens),
+    });
+    // once the deadline wins the race, the cancelled preparation's rejection has no one left to report to
+    preparing.catch(() => {});
+    const turn = await Promise.race([preparing, untilAborted(deadline.signal)]);
+    const { sessionId, rewrittenQuery, hits, sources } = turn;
+    stream = streamBuffer.createStream(sessionId);
 
     // send initial session id event
-    res.write(`event: session\ndata: ${JSON.stringify({ sessionId })}\n\n`);
+    send("session", { sessionId, streamId: stream.id, rewrittenQuery });
 
-    let assistantBuffer = "";
+    const result = await generate(turn, res, generationOpts(), (chunk) => send("message", { delta: chunk }), {
+      streamId: stream.id,
+      signal: deadline.signal,
+    });
+    await countTokens(req, turn, result);
+    if (deadline.signal.aborted) throw deadline.signal.reason;
 
-    // called for each chunk
-    const onChunk = async (chunk) => {
-      assistantBuffer += chunk;
-      // stream incremental chunk to client
-      res.write(`event: message\ndata: ${JSON.stringify({ delta: chunk })}\n\n`);
-    };
+    // Send done event with final metadata (sources + answer)
+    send("done", {
+      sessionId,
+      answer: result.answer,
+      sources,
+      rewrittenQuery,
+      retrieval: formatRetrieval(hits),
+      usage: result.usage,
+      aborted: result.aborted,
+    });
+  } catch (err) {
+    if (!(err instanceof ChatTimeoutError)) console.error("LLM stream error", err);
+    send("error", { code: errorCode(err), ...errorBody(err) });
+  } finally {
+    clearTimeout(timer);
+    stopHeartbeat();
+    await stream?.finish();
+    if (!res.writableEnded) res.end();
+  }
+}
 
-    try {
-      // opts control chunking behavior of generateStream
-      const streamOpts = { chunkSize: parseInt(process.env.LLM_CHUNK_SIZE || "120", 10), delayMs: parseInt(process.env.LLM_CHUNK_DELAY_MS || "20", 10), maxOutputTokens: MAX_OUTPUT_TOKENS };
-      await llmClient.generateStream(prompt, streamOpts, onChunk);
-
-      // persist final assistant message
-      await sessionStore.appendMessage(sessionId, {
-        role: "assistant",
-        text: assistantBuffer,
-        ts: Date.now(),
-      });
-
-      // Send done event with final metadata (sources + answer)
-      res.write(
-        `event: done\ndata: ${JSON.stringify({
-          sessionId,
-          answer: assistantBuffer,
-          sources,
-        })}\n\n`
-      );
-      res.end();
-    } catch (err) {
-      console.error("LLM stream error", err);
-      res.write(
-        `event: error\ndata: ${JSON.stringify({
-          error: err.message || String(err),
-        })}\n\n`
-      );
-      res.end();
+/**
+ * GET /chat/:sessionId/stream
+ * Resumes the session's latest SSE stream. With `Last-Event-ID` (header, or
+ * `?lastEventId=`) the events after it are replayed and the stream continues live;
+ * without it the stream is replayed from the start. If generation already
+ * finished, only the final `done` (or `error`) event is sent.
+ */
+const resumeRoute = api({
+  method: "get",
+  path: "/chat/{sessionId}/stream",
+  summary: "Resume the session's latest SSE stream (Last-Event-ID)",
+  params: sessionParams,
+  query: resumeQuery,
+  responses: {
+    200: {
+      description: "replays the missed frames, then follows the stream live (finished: only the done | error frame)",
+      content: { "text/event-stream": chatEvents },
+    },
+    404: { description: "unknown session, or no resumable stream (unknown or expired)", schema: errorMessageSchema },
+  },
+});
+router.get("/:sessionId/stream", resumeRoute, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await sessionStore.getOwnedSession(sessionId, req.auth.userId);
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    let streamId = null;
+    let afterSeq = 0;
+    if (lastEventId) {
+      const parsed = streamBuffer.parseEventId(lastEventId);
+      if (!parsed) {
+        return errorResponse(res, 400, "VALIDATION_ERROR", "Last-Event-ID must look like <streamId>:<seq>", [
+          { location: "header", path: "Last-Event-ID", message: "expected <streamId>:<seq>" },
+        ]);
+      }
+      ({ streamId, seq: afterSeq } = parsed);
+    } else {
+      streamId = await streamBuffer.latestStream(sessionId);
+    }
+
+    const snapshot = streamId ? await streamBuffer.readStream(streamId, afterSeq) : null;
+    if (!snapshot || snapshot.sessionId !== sessionId) {
+      return res.status(404).json({ error: "no resumable stream for this session (unknown or expired)" });
+    }
+
+    const stopHeartbeat = openSse(res);
+    if (snapshot.finished) {
+      const final = snapshot.events.find((e) => e.event === "done" || e.event === "error");
+      if (final) res.write(formatEvent(final));
+      stopHeartbeat();
+      return res.end();
+    }
+
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    await streamBuffer.resume(streamId, afterSeq, (text) => res.write(text), controller.signal);
+    stopHeartbeat();
+    if (!res.writableEnded) res.end();
+  } catch (err) {
+    if (err instanceof SessionNotFoundError) return res.status(404).json({ error: err.message });
+    console.error("GET /chat/:sessionId/stream err", err);
+    if (!res.headersSent) return res.status(500).json({ error: err.message || "internal" });
+    res.end();
+  }
+});
+
+/**
+ * POST /chat/:sessionId/stop
+ * Cancels the generation running for the session (on this server instance).
+ * The stream still ends with a `done` event carrying `aborted: true`.
+ */
+const stopRoute = api({
+  method: "post",
+  path: "/chat/{sessionId}/stop",
+  summary: "Cancel the generation running for a session",
+  params: sessionParams,
+  responses: {
+    200: {
+      description: "generation cancelled",
+      schema: z.strictObject({ ok: z.literal(true), sessionId: z.string(), stopped: z.literal(true) }),
+    },
+    404: { description: "unknown session, or nothing running", schema: errorMessageSchema },
+  },
+});
+router.post("/:sessionId/stop", stopRoute, async (req, res) => {
+  try {
+    await sessionStore.getOwnedSession(req.params.sessionId, req.auth.userId);
+    const controller = activeGenerations.get(req.params.sessionId);
+    if (!controller) {
+      return res.status(404).json({ error: "no generation in progress for this session" });
     }
+    controller.abort("stopped by user");
+    res.json({ ok: true, sessionId: req.params.sessionId, stopped: true });
+  } catch (err) {
+    if (err instanceof SessionNotFoundError) return res.status(404).json({ error: err.message });
+    console.error("POST /chat/:sessionId/stop err", err);
+    res.status(500).json({ error: err.message || "internal" });
+  }
+});
+
+const chatRoute = api({
+  method: "post",
+  path: "/chat",
+  summary: "Ask a question; the answer streams as SSE (or JSON with ?stream=false)",
+  query: chatQuery,
+  body: chatBody,
+  responses: {
+    200: {
+      description: "SSE frames session, message*, then done | error — or the whole answer as JSON",
+      content: { "text/event-stream": chatEvents, "application/json": answerSchema },
+    },
+    404: { description: "unknown sessionId, or one that belongs to another user", schema: errorMessageSchema },
+    429: { description: "rate limit or daily token quota exceeded", schema: rateLimitedSchema },
+    502: { description: "LLM or embedding provider failed (JSON mode)", schema: errorMessageSchema },
+    503: { description: "collection built with another embedding model (JSON mode)", schema: errorMessageSchema },
+  },
+});
+router.post("/", chatRoute, rateLimit("chat"), tokenQuota({ reserve: worstCaseTokens }), async (req, res) => {
+  try {
+    if (wantsJson(req)) await respondJson(req, res);
+    else await respondStream(req, res);
   } catch (err) {
-    console.error("chat handler error", err);
+    const status = statusFor(err);
+    if (status >= 500) console.error("chat handler error", err);
     // if headers not sent, respond JSON; otherwise send SSE error
     if (!res.headersSent) {
-      return res.status(500).json({ error: err.message || "internal error" });
+      return res.status(status).json(errorBody(err));
     }
-    res.write(`event: error\ndata: ${JSON.stringify({ error: err.message || "internal error" })}\n\n`);
+    res.write(formatEvent({ event: "error", data: { code: errorCode(err), ...errorBody(err) } }));
     res.end();
   }
 });
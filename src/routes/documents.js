@@ -0,0 +1,190 @@
+// src/routes/documents.js
+// Knowledge-base admin: indexed documents = Article rows + their Qdrant chunks.
+import express from 'express';
+import articleStore, { DatabaseUnavailableError } from '../services/articleStore.js';
+import vectorClient, { EmbeddingMismatchError } from '../services/vectorClient.mjs';
+import { ingestDocument } from '../ingest/ingest_document.mjs';
+import { rateLimit, rateLimitedSchema } from '../middleware/rateLimit.js';
+import { route, uuidParam, errorMessageSchema } from '../middleware/validate.js';
+import { z } from 'zod/v4';
+
+const router = express.Router();
+
+const api = (spec) => route({ tags: ['documents'], auth: 'service', ...spec });
+
+const createBody = z
+  .object({
+    text: z.string().min(1).optional().describe('raw text to index'),
+    url: z.url().optional().describe('downloaded and extracted when text is not given'),
+    title: z.string().max(500).optional(),
+    source: z.string().max(200).optional(),
+    publishedAt: z
+      .string()
+      .refine((v) => !Number.isNaN(Date.parse(v)), 'publishedAt must be a date')
+      .optional(),
+    tags: z.array(z.string()).max(50).optional(),
+  })
+  .refine((b) => b.text || b.url, 'text or url is required');
+const listQuery = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20),
+});
+const idParams = z.object({ id: uuidParam('document (Article) id') });
+
+const articleSchema = z.strictObject({
+  id: z.string(),
+  title: z.string(),
+  url: z.string(),
+  source: z.string().nullable(),
+  publishedAt: z.iso.datetime().nullable(),
+  createdAt: z.iso.datetime(),
+});
+const chunkResultSchema = z.strictObject({
+  inserted: z.number().int(),
+  skipped: z.number().int().describe('chunks already indexed with the same content'),
+  failed: z.number().int(),
+  errors: z.array(
+    z.strictObject({ start: z.number().int(), count: z.number().int(), attempts: z.number().int(), error: z.string() })
+  ),
+});
+const unavailable = (description) => ({ description, schema: errorMessageSchema });
+const notFound = { description: 'document not found', schema: errorMessageSchema };
+
+function sendError(res, label, err) {
+  if (err instanceof DatabaseUnavailableError || err instanceof EmbeddingMismatchError) {
+    return res.status(503).json({ error: err.message });
+  }
+  console.error(label, err);
+  return res.status(500).json({ error: err.message || 'internal' });
+}
+
+/**
+ * POST /documents
+ * body: { text?: string, url?: string, title?, source?, publishedAt?, tags?: string[] } — text or url required.
+ * A url without text is downloaded and extracted. Returns 201 { document, chunks }.
+ */
+const createRoute = api({
+  method: 'post',
+  path: '/documents',
+  summary: 'Index a document from text or a URL',
+  body: createBody,
+  responses: {
+    201: {
+      description: 'document recorded and indexed',
+      schema: z.strictObject({ document: articleSchema, chunks: chunkResultSchema }),
+    },
+    429: { description: 'rate limit exceeded', schema: rateLimitedSchema },
+    503: unavailable('Postgres unavailable (nothing was indexed) or embedding model mismatch'),
+  },
+});
+router.post('/', createRoute, rateLimit('documents'), async (req, res) => {
+  try {
+    const { text, url, title, source, publishedAt, tags } = req.valid.body;
+    // no Article row, no vectors: points without a document id could never be deleted
+    const { article, chunks } = await ingestDocument(
+      { text, url, title, source, publishedAt, tags },
+      { requireArticle: true }
+    );
+    res.status(201).json({ document: article, chunks });
+  } catch (err) {
+    sendError(res, 'POST /documents err', err);
+  }
+});
+
+/**
+ * GET /documents?page=1&pageSize=20
+ * returns { result: [Article], page, pageSize, total }
+ */
+const listRoute = api({
+  method: 'get',
+  path: '/documents',
+  summary: 'List indexed documents, newest first',
+  query: listQuery,
+  responses: {
+    200: {
+      description: 'one page of Article rows',
+      schema: z.strictObject({
+        result: z.array(articleSchema),
+        page: z.number().int(),
+        pageSize: z.number().int(),
+        total: z.number().int(),
+      }),
+    },
+    503: unavailable('Postgres unavailable'),
+  },
+});
+router.get('/', listRoute, async (req, res) => {
+  try {
+    const { page, pageSize } = req.valid.query;
+    const { items, total } = await articleStore.listArticles({ page, pageSize });
+    res.json({ result: items, page, pageSize, total });
+  } catch (err) {
+    sendError(res, 'GET /documents err', err);
+  }
+});
+
+/**
+ * GET /documents/:id
+ * returns { document, chunks: [{ id, chunkIndex, text }] }
+ */
+const getRoute = api({
+  method: 'get',
+  path: '/documents/{id}',
+  summary: 'A document and its indexed chunks',
+  params: idParams,
+  responses: {
+    200: {
+      description: 'document and chunks',
+      schema: z.strictObject({
+        document: articleSchema,
+        chunks: z.array(z.strictObject({ id: z.string(), chunkIndex: z.number().int(), text: z.string() })),
+      }),
+    },
+    404: notFound,
+  },
+});
+router.get('/:id', getRoute, async (req, res) => {
+  try {
+    const article = await articleStore.getById(req.params.id);
+    if (!article) return res.status(404).json({ error: 'document not found' });
+    const chunks = await vectorClient.getChunks({ articleId: article.id, url: article.url });
+    res.json({
+      document: article,
+      chunks: chunks.map((c) => ({ id: c.id, chunkIndex: c.chunkIndex, text: c.text })),
+    });
+  } catch (err) {
+    sendError(res, 'GET /documents/:id err', err);
+  }
+});
+
+/**
+ * DELETE /documents/:id
+ * removes the Article row and every Qdrant point of that document
+ */
+const deleteRoute = api({
+  method: 'delete',
+  path: '/documents/{id}',
+  summary: 'Remove a document and all of its Qdrant points',
+  params: idParams,
+  responses: {
+    200: {
+      description: 'document removed',
+      schema: z.strictObject({ ok: z.literal(true), id: z.string(), deletedChunks: z.number().int() }),
+    },
+    404: notFound,
+  },
+});
+router.delete('/:id', deleteRoute, async (req, res) => {
+  try {
+    const article = await articleStore.getById(req.params.id);
+    if (!article) return res.status(404).json({ error: 'document not found' });
+    // vectors first: a dangling row is visible and retryable, dangling vectors are not
+    const { deleted } = await vectorClient.deleteDocument({ articleId: article.id, url: article.url });
+    await articleStore.deleteById(article.id);
+    res.json({ ok: true, id: article.id, deletedChunks: deleted });
+  } catch (err) {
+    sendError(res, 'DELETE /documents/:id err', err);
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+// src/routes/ingest.js
+import express from 'express';
+import ingestScheduler, { IngestAlreadyRunningError } from '../services/ingestScheduler.js';
+import { rateLimit, rateLimitedSchema } from '../middleware/rateLimit.js';
+import { route, errorMessageSchema } from '../middleware/validate.js';
+import { z } from 'zod/v4';
+
+const router = express.Router();
+
+const api = (spec) => route({ tags: ['ingest'], auth: 'service', ...spec });
+
+const runSchema = z.strictObject({
+  id: z.string(),
+  trigger: z.enum(['cron', 'manual']),
+  status: z.enum(['running', 'succeeded', 'failed']),
+  startedAt: z.iso.datetime(),
+  finishedAt: z.iso.datetime().nullable(),
+  itemsSeen: z.number().int(),
+  itemsAdded: z.number().int(),
+  itemsSkipped: z.number().int(),
+  errors: z.array(z.object({ url: z.string().nullable(), error: z.string() })).nullable(),
+});
+
+/**
+ * GET /ingest/runs?limit=20
+ * returns recent ingest runs, newest first
+ */
+const runsRoute = api({
+  method: 'get',
+  path: '/ingest/runs',
+  summary: 'Recent ingest runs, newest first',
+  query: z.object({ limit: z.coerce.number().int().min(1).max(200).default(20) }),
+  responses: { 200: { description: 'ingest runs', schema: z.strictObject({ result: z.array(runSchema) }) } },
+});
+router.get('/runs', runsRoute, async (req, res) => {
+  try {
+    const { limit } = req.valid.query;
+    const runs = await ingestScheduler.listRuns(limit);
+    res.json({ result: runs });
+  } catch (err) {
+    console.error('GET /ingest/runs err', err);
+    res.status(500).json({ error: err.message || 'internal' });
+  }
+});
+
+/**
+ * POST /ingest/run
+ * Start a feed ingestion run in the background; returns 202 { run }
+ * or 409 when a run is already in progress.
+ */
+const runRoute = api({
+  method: 'post',
+  path: '/ingest/run',
+  summary: 'Start a feed ingestion run in the background',
+  responses: {
+    202: { description: 'run started', schema: z.strictObject({ run: runSchema }) },
+    409: { description: 'a run is already in progress', schema: errorMessageSchema },
+    429: { description: 'rate limit exceeded', schema: rateLimitedSchema },
+  },
+});
+router.post('/run', runRoute, rateLimit('ingest'), async (req, res) => {
+  try {
+    const run = await ingestScheduler.runNow({ trigger: 'manual', wait: false });
+    res.status(202).json({ run });
+  } catch (err) {
+    if (err instanceof IngestAlreadyRunningError) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('POST /ingest/run err', err);
+    res.status(500).json({ error: err.message || 'internal' });
+  }
+});
+
+export default router;
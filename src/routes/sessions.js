@@ -1,25 +1,84 @@
 // src/routes/sessions.js
+// Session routes; every route is scoped to the authenticated user (req.auth.userId),
+// and sessions of other users answer 404.
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import sessionStore from '../services/sessionStore.js';
+import sessionStore, { SessionNotFoundError, SessionStoreUnavailableError } from '../services/sessionStore.js';
+import { route, uuidParam, errorMessageSchema } from '../middleware/validate.js';
+import { z } from 'zod/v4';
 
 const router = express.Router();
 
+const api = (spec) => route({ tags: ['sessions'], auth: 'user', ...spec });
+const idParams = z.object({ id: uuidParam('session id') });
+
+const sessionSchema = z.strictObject({
+  id: z.string(),
+  title: z.string(),
+  createdAt: z.union([z.string(), z.number()]).describe('ISO date, or epoch ms for sessions without stored metadata'),
+  lastAt: z.string().nullable(),
+  msgCount: z.number().int(),
+  pinned: z.boolean(),
+  archived: z.boolean(),
+});
+const messageSchema = z.strictObject({
+  id: z.string(),
+  role: z.string().describe('"user" or "assistant"'),
+  text: z.string(),
+  ts: z.string(),
+  aborted: z.literal(true).optional().describe('answer cut short (client left or generation stopped)'),
+});
+const notFound = { description: 'session not found', schema: errorMessageSchema };
+
+const listQuery = z.object({
+  archived: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform((v) => v === 'true')
+    .describe('"true" lists the archived sessions instead of the others'),
+});
+const updateBody = z
+  .strictObject({
+    title: z.string().trim().min(1, 'title must not be empty').max(200).optional(),
+    pinned: z.boolean().optional(),
+    archived: z.boolean().optional(),
+  })
+  .refine((b) => Object.keys(b).length > 0, 'one of title, pinned or archived is required');
+
+// response shape of a stored session (list entries and PATCH)
+function toPayload(s) {
+  return {
+    id: s.id,
+    title: s.title || `Chat ${new Date(s.createdAt || s.ts || Date.now()).toLocaleString()}`,
+    createdAt: s.createdAt || s.ts || Date.now(),
+    lastAt: s.lastAt || s.updatedAt || null,
+    msgCount: (s.msgCount != null ? s.msgCount : (Array.isArray(s.messages) ? s.messages.length : 0)),
+    pinned: Boolean(s.pinned),
+    archived: Boolean(s.archived),
+  };
+}
+
 /**
- * GET /sessions
- * return list of sessions: [{ id, title, lastTs, msgCount }]
+ * GET /sessions?archived=false
+ * return the caller's sessions: [{ id, title, createdAt, lastAt, msgCount, pinned, archived }]
  */
-router.get('/', async (req, res) => {
+const listRoute = api({
+  method: 'get',
+  path: '/sessions',
+  summary: "The caller's sessions",
+  query: listQuery,
+  responses: {
+    200: {
+      description: 'sessions, pinned first, then most recently used first',
+      schema: z.strictObject({ result: z.array(sessionSchema) }),
+    },
+  },
+});
+router.get('/', listRoute, async (req, res) => {
   try {
-    const sessions = await sessionStore.listSessions?.() || []; // listSessions should return array
-    // Normalize shape
-    const payload = sessions.map(s => ({
-      id: s.id,
-      title: s.title || `Chat ${new Date(s.createdAt || s.ts || Date.now()).toLocaleString()}`,
-      createdAt: s.createdAt || s.ts || Date.now(),
-      lastAt: s.lastAt || s.updatedAt || null,
-      msgCount: (s.msgCount != null ? s.msgCount : (Array.isArray(s.messages) ? s.messages.length : 0)),
-    }));
+    const { archived } = req.valid.query;
+    const sessions = await sessionStore.listSessions(200, { userId: req.auth.userId, archived });
+    const payload = sessions.map(toPayload);
     console.log(`🚀 > payload---->`, payload)
     res.json({ result: payload });
   } catch (err) {
@@ -32,12 +91,23 @@ router.get('/', async (req, res) => {
  * POST /sessions
  * Create new session, return { id }
  */
-router.post('/', async (req, res) => {
+const createRoute = api({
+  method: 'post',
+  path: '/sessions',
+  summary: 'Create an empty session',
+  responses: { 201: { description: 'session created', schema: z.strictObject({ id: z.string() }) } },
+});
+router.post('/', createRoute, async (req, res) => {
   try {
     const id = uuidv4();
     // create session in store
     if (sessionStore.createSession) {
-      await sessionStore.createSession({ id, createdAt: Date.now(), title: `Chat ${new Date().toLocaleString()}` });
+      await sessionStore.createSession({
+        id,
+        userId: req.auth.userId,
+        createdAt: Date.now(),
+        title: `Chat ${new Date().toLocaleString()}`,
+      });
     } else {
       // fallback: append a metadata message or ensure store initializes session on first append
       await sessionStore.appendMessage(id, { role: 'system', text: 'session-created', ts: Date.now() });
@@ -51,12 +121,51 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /sessions/:id
+ * body: { title?, pinned?, archived? } — at least one; returns the updated session
+ */
+const updateRoute = api({
+  method: 'patch',
+  path: '/sessions/{id}',
+  summary: 'Rename, pin or archive a session',
+  params: idParams,
+  body: updateBody,
+  responses: {
+    200: { description: 'the updated session', schema: sessionSchema },
+    404: notFound,
+    503: { description: 'session storage unavailable; nothing was changed', schema: errorMessageSchema },
+  },
+});
+router.patch('/:id', updateRoute, async (req, res) => {
+  try {
+    const { id } = req.valid.params;
+    await sessionStore.getOwnedSession(id, req.auth.userId);
+    const updated = await sessionStore.updateSession(id, req.valid.body);
+    if (!updated) throw new SessionNotFoundError(id); // deleted meanwhile
+    res.json(toPayload(updated));
+  } catch (err) {
+    if (err instanceof SessionNotFoundError) return res.status(404).json({ error: err.message });
+    if (err instanceof SessionStoreUnavailableError) return res.status(503).json({ error: err.message });
+    console.error('PATCH /sessions/:id', err);
+    res.status(500).json({ error: err.message || 'internal' });
+  }
+});
+
 /**
  * DELETE /sessions/:id
  */
-router.delete('/:id', async (req, res) => {
+const deleteRoute = api({
+  method: 'delete',
+  path: '/sessions/{id}',
+  summary: 'Delete a session and its transcript',
+  params: idParams,
+  responses: { 200: { description: 'session deleted', schema: z.strictObject({ ok: z.literal(true) }) }, 404: notFound },
+});
+router.delete('/:id', deleteRoute, async (req, res) => {
   try {
     const { id } = req.params;
+    await sessionStore.getOwnedSession(id, req.auth.userId);
     if (sessionStore.deleteSession) {
       await sessionStore.deleteSession(id);
       return res.json({ ok: true });
@@ -64,6 +173,7 @@ router.delete('/:id', async (req, res) => {
     // fallback: remove messages for that session if store exposes delete
     res.json({ ok: true });
   } catch (err) {
+    if (err instanceof SessionNotFoundError) return res.status(404).json({ error: err.message });
     console.error('DELETE /sessions/:id', err);
     res.status(500).json({ error: err.message || 'internal' });
   }
@@ -73,12 +183,24 @@ router.delete('/:id', async (req, res) => {
  * GET /sessions/:id/messages
  * returns array of messages for session
  */
-router.get('/:id/messages', async (req, res) => {
+const messagesRoute = api({
+  method: 'get',
+  path: '/sessions/{id}/messages',
+  summary: "A session's messages, oldest first",
+  params: idParams,
+  responses: {
+    200: { description: 'messages', schema: z.strictObject({ messages: z.array(messageSchema) }) },
+    404: notFound,
+  },
+});
+router.get('/:id/messages', messagesRoute, async (req, res) => {
   try {
     const { id } = req.params;
+    await sessionStore.getOwnedSession(id, req.auth.userId);
     const messages = await sessionStore.getMessages(id, 1000) || []; // second arg = limit
     res.json({ messages });
   } catch (err) {
+    if (err instanceof SessionNotFoundError) return res.status(404).json({ error: err.message });
     console.error('GET /sessions/:id/messages', err);
     res.status(500).json({ error: err.message || 'internal' });
   }
@@ -1,42 +1,9 @@
 // src/server.js
-import bodyParser from "body-parser";
-import cors from "cors";
 import "dotenv/config";
-import express from "express";
-import chatRoute from "./routes/chat.js";
-import sessionsRouter from "./routes/sessions.js";
+import app from "./app.js";
+import ingestScheduler from "./services/ingestScheduler.js";
 import Redis from "ioredis";
 
-const app = express();
-
-// FRONTEND_ORIGIN may be a single origin or comma-separated list:
-// e.g. "https://voosh-frontend-theta.vercel.app,http://localhost:5173"
-const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "";
-const ALLOWED_ORIGINS = FRONTEND_ORIGIN.split(",").map(s => s.trim()).filter(Boolean);
-
-app.use(
-  cors({
-    origin: function (origin, callback) {
-      // allow requests with no origin (curl, server-to-server)
-      if (!origin) return callback(null, true);
-      // if no allowed origins configured, allow (use with caution)
-      if (ALLOWED_ORIGINS.length === 0) return callback(null, true);
-      if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
-      return callback(new Error("Not allowed by CORS"));
-    },
-    methods: ["GET", "POST", "OPTIONS", "DELETE", "PUT", "PATCH"],
-    allowedHeaders: ["Content-Type"],
-    preflightContinue: false,
-  })
-);
-
-app.use(bodyParser.json({ limit: "1mb" }));
-
-app.get("/health", (req, res) => res.json({ ok: true }));
-
-app.use("/chat", chatRoute);
-app.use("/sessions", sessionsRouter);
-
 // -------- startup checks ----------
 async function runStartupChecks() {
   const out = { redis: { ok: false, msg: null }, prisma: { ok: false, msg: null } };
@@ -112,4 +79,7 @@ async function runStartupChecks() {
 
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+
+  // scheduled feed re-ingestion (only when INGEST_CRON is set)
+  ingestScheduler.start();
 })();
@@ -0,0 +1,110 @@
+// src/services/articleStore.js
+// Article records in Postgres (via Prisma). One row per article URL —
+// `url` is unique, so it doubles as the dedupe key for ingestion.
+
+import { getPrisma } from './prisma.js';
+
+export class DatabaseUnavailableError extends Error {
+  constructor() {
+    super('Article storage requires Postgres (DATABASE_URL / prisma generate)');
+    this.name = 'DatabaseUnavailableError';
+  }
+}
+
+async function requirePrisma() {
+  const prisma = await getPrisma();
+  if (!prisma) throw new DatabaseUnavailableError();
+  return prisma;
+}
+
+function toDateOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const store = {
+  /**
+   * findByUrl(url)
+   * Returns the Article row or null (also null when Prisma is unavailable).
+   */
+  async findByUrl(url) {
+    const prisma = await getPrisma();
+    if (!prisma || !url) return null;
+    try {
+      return await prisma.article.findUnique({ where: { url } });
+    } catch (e) {
+      console.warn('[articleStore] findByUrl failed:', e && e.message ? e.message : e);
+      return null;
+    }
+  },
+
+  /**
+   * upsertArticle({ title, url, source?, publishedAt? })
+   * Returns { article, created } — `created` is false when the URL was already known.
+   * Returns { article: null, created: true } when Prisma is unavailable so
+   * ingestion can still proceed in vector-only mode.
+   */
+  async upsertArticle({ title, url, source = null, publishedAt = null }) {
+    if (!url) throw new Error('upsertArticle: url is required');
+    const prisma = await getPrisma();
+    if (!prisma) return { article: null, created: true };
+
+    const data = {
+      title: String(title || url).slice(0, 500),
+      source: source || null,
+      publishedAt: toDateOrNull(publishedAt),
+    };
+
+    try {
+      const existing = await prisma.article.findUnique({ where: { url } });
+      if (existing) {
+        const article = await prisma.article.update({ where: { url }, data });
+        return { article, created: false };
+      }
+      const article = await prisma.article.create({ data: { ...data, url } });
+      return { article, created: true };
+    } catch (e) {
+      console.warn('[articleStore] upsertArticle failed (continuing without DB row):', e && e.message ? e.message : e);
+      return { article: null, created: true };
+    }
+  },
+
+  /**
+   * listArticles({ page, pageSize })
+   * Newest first. Returns { items, total }; throws when Prisma is unavailable.
+   */
+  async listArticles({ page = 1, pageSize = 20 } = {}) {
+    const prisma = await requirePrisma();
+    const [items, total] = await prisma.$transaction([
+      prisma.article.findMany({
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.article.count(),
+    ]);
+    return { items, total };
+  },
+
+  /**
+   * getById(id) — Article row or null
+   */
+  async getById(id) {
+    const prisma = await requirePrisma();
+    return prisma.article.findUnique({ where: { id } });
+  },
+
+  /**
+   * deleteById(id) — returns the deleted row, or null when it did not exist
+   */
+  async deleteById(id) {
+    const prisma = await requirePrisma();
+    const existing = await prisma.article.findUnique({ where: { id } });
+    if (!existing) return null;
+    await prisma.article.delete({ where: { id } });
+    return existing;
+  },
+};
+
+export default store;
@@ -0,0 +1,158 @@
+// src/services/embeddingCache.js
+// Embedding cache keyed by (model, sha256(text)).
+// Redis holds vectors with a TTL; Postgres (EmbeddingCache model) optionally keeps
+// them for good so a Redis flush or a re-ingest does not pay for embeddings again.
+// Every lookup and write is best-effort: a cache failure only costs an API call.
+// Env vars:
+// - EMBED_CACHE_ENABLED      "false" to disable (default true)
+// - EMBED_CACHE_TTL_SECONDS  Redis TTL (default 604800 = 7 days)
+// - EMBED_CACHE_PERSIST      "true" to also store vectors in Postgres
+
+import crypto from 'crypto';
+import { getRedis } from './redisClient.js';
+import { getPrisma } from './prisma.js';
+
+const ENABLED = (process.env.EMBED_CACHE_ENABLED || 'true') !== 'false';
+const TTL_SECONDS = parseInt(process.env.EMBED_CACHE_TTL_SECONDS || '604800', 10);
+const PERSIST = process.env.EMBED_CACHE_PERSIST === 'true';
+const KEY_PREFIX = 'emb:';
+
+const counters = { hits: 0, misses: 0, redisHits: 0, postgresHits: 0, writes: 0, errors: 0 };
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text ?? '')).digest('hex');
+}
+
+function redisKey(model, hash) {
+  return `${KEY_PREFIX}${model}:${hash}`;
+}
+
+function countError(label, e) {
+  counters.errors += 1;
+  console.warn(`[embeddingCache] ${label} failed:`, e && e.message ? e.message : e);
+}
+
+async function redisGet(model, hashes) {
+  const out = new Map();
+  const redis = await getRedis();
+  if (!redis || !hashes.length) return out;
+  try {
+    const values = await redis.mget(hashes.map((h) => redisKey(model, h)));
+    values.forEach((v, i) => {
+      if (v) out.set(hashes[i], JSON.parse(v));
+    });
+  } catch (e) {
+    countError('redis read', e);
+  }
+  return out;
+}
+
+async function redisSet(model, entries) {
+  const redis = await getRedis();
+  if (!redis || !entries.length) return;
+  try {
+    const pipeline = redis.pipeline();
+    for (const { hash, vector } of entries) {
+      pipeline.set(redisKey(model, hash), JSON.stringify(vector), 'EX', TTL_SECONDS);
+    }
+    await pipeline.exec();
+  } catch (e) {
+    countError('redis write', e);
+  }
+}
+
+async function postgresGet(model, hashes) {
+  const out = new Map();
+  if (!PERSIST || !hashes.length) return out;
+  const prisma = await getPrisma();
+  if (!prisma) return out;
+  try {
+    const rows = await prisma.embeddingCache.findMany({
+      where: { model, hash: { in: hashes } },
+      select: { hash: true, vector: true },
+    });
+    for (const r of rows) out.set(r.hash, r.vector);
+  } catch (e) {
+    countError('postgres read', e);
+  }
+  return out;
+}
+
+async function postgresSet(model, entries) {
+  if (!PERSIST || !entries.length) return;
+  const prisma = await getPrisma();
+  if (!prisma) return;
+  try {
+    await prisma.embeddingCache.createMany({
+      data: entries.map(({ hash, vector }) => ({ model, hash, dim: vector.length, vector })),
+      skipDuplicates: true,
+    });
+  } catch (e) {
+    countError('postgres write', e);
+  }
+}
+
+/**
+ * getMany(model, texts)
+ * Map of text -> cached vector for the texts found in Redis, then Postgres
+ * (Postgres hits are copied back into Redis).
+ */
+async function getMany(model, texts) {
+  const found = new Map();
+  if (!ENABLED || !texts.length) return found;
+
+  const textHashes = texts.map(hashText);
+  const hashes = [...new Set(textHashes)];
+
+  const fromRedis = await redisGet(model, hashes);
+  const missing = hashes.filter((h) => !fromRedis.has(h));
+  const fromPostgres = await postgresGet(model, missing);
+  if (fromPostgres.size) {
+    await redisSet(model, [...fromPostgres].map(([hash, vector]) => ({ hash, vector })));
+  }
+
+  texts.forEach((text, i) => {
+    const hash = textHashes[i];
+    if (fromRedis.has(hash)) {
+      counters.hits += 1;
+      counters.redisHits += 1;
+      found.set(text, fromRedis.get(hash));
+    } else if (fromPostgres.has(hash)) {
+      counters.hits += 1;
+      counters.postgresHits += 1;
+      found.set(text, fromPostgres.get(hash));
+    } else {
+      counters.misses += 1;
+    }
+  });
+  return found;
+}
+
+/**
+ * setMany(model, entries)
+ * entries: [{ text, vector }] freshly embedded by the provider.
+ */
+async function setMany(model, entries) {
+  if (!ENABLED || !entries.length) return;
+  const rows = entries.map(({ text, vector }) => ({ hash: hashText(text), vector }));
+  await redisSet(model, rows);
+  await postgresSet(model, rows);
+  counters.writes += rows.length;
+}
+
+/** Hit/miss counters since process start (or the last reset) */
+function stats() {
+  const lookups = counters.hits + counters.misses;
+  return {
+    enabled: ENABLED,
+    persist: PERSIST,
+    ...counters,
+    hitRate: lookups ? counters.hits / lookups : null,
+  };
+}
+
+function resetStats() {
+  for (const k of Object.keys(counters)) counters[k] = 0;
+}
+
+export default { getMany, setMany, stats, resetStats, hashText };
@@ -0,0 +1,69 @@
+// src/services/embeddingProviders/jina.js
+// Jina embeddings REST API.
+//
+// POST { model: 'jina-embeddings-v3', input: ['text1','text2'] }
+// Response: { data: [{ embedding: [ ... ] }, ...] } (a few common variants handled)
+//
+// Env vars:
+// - JINA_API_KEY
+// - JINA_API_URL (default https://api.jina.ai/v1/embeddings; override for tests/proxies)
+// - JINA_EMBEDDING_MODEL (default jina-embeddings-v3)
+// - EMBED_DIM (overrides the known dimension of the model)
+
+import axios from 'axios';
+
+// output dimension of the models we know about; others need EMBED_DIM
+const KNOWN_DIMS = {
+  'jina-embeddings-v3': 1024,
+  'jina-embeddings-v2-base-en': 768,
+  'jina-embeddings-v2-small-en': 512,
+  'jina-clip-v2': 1024,
+};
+
+function settings() {
+  const model = process.env.JINA_EMBEDDING_MODEL || 'jina-embeddings-v3';
+  return {
+    key: process.env.JINA_API_KEY || '',
+    url: process.env.JINA_API_URL || 'https://api.jina.ai/v1/embeddings',
+    model,
+    dim: process.env.EMBED_DIM ? parseInt(process.env.EMBED_DIM, 10) : KNOWN_DIMS[model] || null,
+  };
+}
+
+/** Pull the embeddings array out of the response; throws on an unexpected shape */
+function parseEmbeddings(data) {
+  // Common variant: data.data is an array of objects with `embedding`
+  if (Array.isArray(data?.data) && data.data.length > 0 && data.data[0].embedding) {
+    return data.data.map((d) => d.embedding);
+  }
+  // Another variant: data (itself) is an array of embeddings
+  if (Array.isArray(data) && Array.isArray(data[0])) return data;
+  // Also handle wrapped responses like { embeddings: [...] }
+  if (Array.isArray(data?.embeddings)) return data.embeddings;
+  throw new Error(`Jina embeddings: unexpected response shape (${Object.keys(data || {}).join(', ')})`);
+}
+
+async function embedTexts(texts = []) {
+  const cfg = settings();
+  if (!cfg.key) throw new Error('Jina embeddings: JINA_API_KEY is not set');
+  const payload = { model: cfg.model, input: texts };
+  if (process.env.EMBED_DIM) payload.dimensions = cfg.dim;
+
+  const resp = await axios.post(cfg.url, payload, {
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.key}` },
+    timeout: 120000,
+  });
+  return parseEmbeddings(resp.data);
+}
+
+export default {
+  name: 'jina',
+  get model() {
+    return settings().model;
+  },
+  get dim() {
+    return settings().dim;
+  },
+  isConfigured: () => Boolean(settings().key),
+  embedTexts,
+};
@@ -0,0 +1,65 @@
+// src/services/embeddingProviders/local.js
+// In-process embeddings with an ONNX model via @huggingface/transformers
+// (optional dependency: `npm install @huggingface/transformers`).
+// The model is downloaded to the transformers cache on first use.
+// Env vars:
+// - LOCAL_EMBEDDING_MODEL (default Xenova/all-MiniLM-L6-v2)
+// - EMBED_DIM (only for models not listed below; a local model's output size is fixed)
+
+const KNOWN_DIMS = {
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768,
+  'Xenova/multilingual-e5-small': 384,
+};
+
+function settings() {
+  const model = process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+  return {
+    model,
+    dim: KNOWN_DIMS[model] || (process.env.EMBED_DIM ? parseInt(process.env.EMBED_DIM, 10) : null),
+  };
+}
+
+const pipelines = new Map(); // model -> Promise<pipeline>
+
+async function getPipeline(model) {
+  if (!pipelines.has(model)) {
+    pipelines.set(
+      model,
+      (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch (e) {
+          throw new Error('local embeddings need @huggingface/transformers — run `npm install @huggingface/transformers`');
+        }
+        console.log(`[embeddings:local] loading ${model}...`);
+        return transformers.pipeline('feature-extraction', model);
+      })().catch((e) => {
+        pipelines.delete(model); // allow a retry after a failed load
+        throw e;
+      })
+    );
+  }
+  return pipelines.get(model);
+}
+
+async function embedTexts(texts = []) {
+  const { model } = settings();
+  const extractor = await getPipeline(model);
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+}
+
+export default {
+  name: 'local',
+  get model() {
+    return settings().model;
+  },
+  get dim() {
+    return settings().dim;
+  },
+  isConfigured: () => true,
+  embedTexts,
+};
@@ -0,0 +1,57 @@
+// src/services/embeddingProviders/openai.js
+// OpenAI-compatible /embeddings endpoint (OpenAI, vLLM, llama.cpp, LM Studio, ...).
+// Env vars:
+// - OPENAI_EMBEDDING_API_BASE (default OPENAI_API_BASE, then https://api.openai.com/v1)
+// - OPENAI_EMBEDDING_API_KEY  (default OPENAI_API_KEY)
+// - OPENAI_EMBEDDING_MODEL    (default text-embedding-3-small)
+// - EMBED_DIM (sent as `dimensions`; required for models not listed below)
+
+import axios from 'axios';
+
+const KNOWN_DIMS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+};
+
+function settings() {
+  const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+  return {
+    base: (process.env.OPENAI_EMBEDDING_API_BASE || process.env.OPENAI_API_BASE || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    key: process.env.OPENAI_EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || '',
+    model,
+    dim: process.env.EMBED_DIM ? parseInt(process.env.EMBED_DIM, 10) : KNOWN_DIMS[model] || null,
+  };
+}
+
+async function embedTexts(texts = []) {
+  const cfg = settings();
+  const payload = { model: cfg.model, input: texts };
+  if (process.env.EMBED_DIM) payload.dimensions = cfg.dim;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.key) headers.Authorization = `Bearer ${cfg.key}`;
+
+  const resp = await axios.post(`${cfg.base}/embeddings`, payload, { headers, timeout: 120000 });
+  const data = resp.data?.data;
+  if (!Array.isArray(data)) throw new Error('OpenAI embeddings: unexpected response shape');
+  // results may come back out of order; `index` is authoritative
+  return data
+    .slice()
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map((d) => d.embedding);
+}
+
+export default {
+  name: 'openai',
+  get model() {
+    return settings().model;
+  },
+  get dim() {
+    return settings().dim;
+  },
+  // a key is required, except for a dedicated embedding server (OPENAI_EMBEDDING_API_BASE, often keyless);
+  // OPENAI_API_BASE alone usually points at a chat endpoint configured for the LLM
+  isConfigured: () => Boolean(settings().key || process.env.OPENAI_EMBEDDING_API_BASE),
+  embedTexts,
+};
@@ -0,0 +1,75 @@
+// src/services/embeddingProviders/shared.js
+// Batching and retry helpers the embeddings facade wraps around every provider.
+
+/**
+ * makeBatches(texts, { maxItems, maxChars })
+ * Consecutive slices of `texts` holding at most maxItems texts and maxChars characters.
+ * A single text longer than maxChars gets a batch of its own.
+ * Returns [{ start, texts, chars }].
+ */
+export function makeBatches(texts, { maxItems = 64, maxChars = 60000 } = {}) {
+  const batches = [];
+  let current = null;
+  texts.forEach((text, i) => {
+    const len = String(text ?? '').length;
+    if (!current || current.texts.length >= maxItems || (current.texts.length && current.chars + len > maxChars)) {
+      current = { start: i, texts: [], chars: 0 };
+      batches.push(current);
+    }
+    current.texts.push(text);
+    current.chars += len;
+  });
+  return batches;
+}
+
+/** Retry-After header of a failed axios request in ms (seconds or HTTP date), or null */
+export function retryAfterMs(err) {
+  const header = err?.response?.headers?.['retry-after'];
+  if (header == null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** 429 / 5xx responses and network errors (no response) are worth retrying */
+export function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status == null) return Boolean(err?.isAxiosError);
+  return status === 429 || status >= 500;
+}
+
+/** Short, loggable description of a provider failure */
+export function describeError(err) {
+  const status = err?.response?.status;
+  if (!status) return err?.message || String(err);
+  const data = err.response.data;
+  const body = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+  return `HTTP ${status}: ${body.slice(0, 300)}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * withRetry(fn, { retries, baseDelayMs, maxDelayMs, onRetry })
+ * Calls fn(attempt) until it succeeds, the error is not retryable, or `retries`
+ * retries are used up. Waits Retry-After when the server sends one, otherwise
+ * exponential backoff with jitter; both capped at maxDelayMs.
+ * Resolves { value, attempts }; the rejection carries err.attempts.
+ */
+export async function withRetry(fn, { retries = 4, baseDelayMs = 500, maxDelayMs = 30000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt };
+    } catch (err) {
+      if (attempt > retries || !isRetryable(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const backoff = baseDelayMs * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      const wait = Math.round(Math.min(maxDelayMs, retryAfterMs(err) ?? backoff));
+      if (onRetry) onRetry(err, attempt, wait);
+      await sleep(wait);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// src/services/embeddingProviders/stub.js
+// Deterministic pseudo-embeddings for local dev / tests. The vectors carry no
+// meaning — never mix them into a collection holding real embeddings.
+
+function settings() {
+  return { dim: parseInt(process.env.EMBED_DIM || '1536', 10) };
+}
+
+function hashToFloat(s, idx) {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    h = Math.imul(h ^ s.charCodeAt(i), 16777619) >>> 0;
+  }
+  h = (h + idx * 2654435761) >>> 0;
+  return (h % 10000) / 10000.0;
+}
+
+function embedOne(text, dim) {
+  const v = new Array(dim);
+  const input = typeof text === 'string' ? text : String(text || '');
+  for (let i = 0; i < dim; i++) {
+    v[i] = hashToFloat(input + `|${i}`, i);
+  }
+  return v;
+}
+
+async function embedTexts(texts = []) {
+  const { dim } = settings();
+  return texts.map((t) => embedOne(t, dim));
+}
+
+export default {
+  name: 'stub',
+  model: 'stub-fnv1a',
+  get dim() {
+    return settings().dim;
+  },
+  isConfigured: () => true,
+  embedTexts,
+};
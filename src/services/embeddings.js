@@ -1,147 +1,216 @@
 // src/services/embeddings.js
 // ESM (ES6) module
-import axios from "axios";
+// Embeddings with pluggable providers (./embeddingProviders). Each provider
+// declares its model id and output dimension; vectors from different providers
+// must never share a Qdrant collection.
+// Env vars:
+// - EMBED_PROVIDER           "jina" (default) | "openai" | "local" | "stub"
+// - EMBED_FALLBACK_TO_STUB   "true" to answer with stub vectors when the provider
+//                            fails or is not configured (off by default: stub
+//                            vectors are meaningless next to real ones)
+// - EMBED_BATCH_SIZE         max texts per provider request (default 64)
+// - EMBED_BATCH_MAX_CHARS    max total characters per provider request (default 60000)
+// - EMBED_CONCURRENCY        provider requests in flight (default 2)
+// - EMBED_MAX_RETRIES        retries per batch on 429/5xx/network errors (default 4)
+// - EMBED_RETRY_BASE_MS      first backoff delay, doubled per retry (default 500)
+// - EMBED_RETRY_MAX_MS       cap for backoff and Retry-After waits (default 30000)
+// - provider settings: see the header of each module in ./embeddingProviders
+// - cache settings: see ./embeddingCache.js
+
 import * as dotenv from "dotenv";
+import pLimit from "p-limit";
+import jina from "./embeddingProviders/jina.js";
+import openai from "./embeddingProviders/openai.js";
+import local from "./embeddingProviders/local.js";
+import stub from "./embeddingProviders/stub.js";
+import { makeBatches, withRetry, describeError } from "./embeddingProviders/shared.js";
+import embeddingCache from "./embeddingCache.js";
 
 dotenv.config();
 
-const JINA_API_KEY = process.env.JINA_API_KEY || "";
-// Allow overriding the API URL for testing or proxies
-const JINA_API_URL =
-  process.env.JINA_API_URL || "https://api.jina.ai/v1/embeddings";
+const PROVIDERS = { jina, openai, local, stub };
 
-// Default embed dimension for stub (can be changed via env)
-export const DIM = parseInt(process.env.EMBED_DIM || "1536", 10);
+function fallbackEnabled() {
+  return process.env.EMBED_FALLBACK_TO_STUB === "true";
+}
 
 /**
- * === Helper: deterministic stub embedding ===
- * Produces a repeatable pseudo-embedding for local dev / tests.
+ * getEmbeddingProvider()
+ * Provider selected by EMBED_PROVIDER; throws when it is unknown, or not
+ * configured and stub fallback is off.
  */
-function hashToFloat(s, idx) {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < s.length; i++) {
-    h = Math.imul(h ^ s.charCodeAt(i), 16777619) >>> 0;
+export function getEmbeddingProvider() {
+  const name = (process.env.EMBED_PROVIDER || "jina").toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown EMBED_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
   }
-  h = (h + idx * 2654435761) >>> 0;
-  return (h % 10000) / 10000.0;
-}
-async function stubEmbedText(text) {
-  const v = new Array(DIM);
-  const input = typeof text === "string" ? text : String(text || "");
-  for (let i = 0; i < DIM; i++) {
-    v[i] = hashToFloat(input + `|${i}`, i);
+  if (!provider.isConfigured()) {
+    if (fallbackEnabled()) return stub;
+    throw new Error(
+      `EMBED_PROVIDER "${name}" is not configured (missing API key?). Set EMBED_PROVIDER=stub for offline use or EMBED_FALLBACK_TO_STUB=true.`
+    );
   }
-  return v;
+  return provider;
 }
-async function stubEmbedTexts(texts = []) {
-  const out = [];
-  for (const t of texts) {
-    /* eslint-disable no-await-in-loop */
-    out.push(await stubEmbedText(t));
+
+/** { provider, model, dim } of the active provider (dim may be null when unknown until first call) */
+export function embeddingInfo() {
+  const p = getEmbeddingProvider();
+  return { provider: p.name, model: p.model, dim: p.dim };
+}
+
+function checkVectors(provider, texts, vectors) {
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`${provider.name} embeddings: expected ${texts.length} vectors, got ${vectors?.length ?? 0}`);
   }
-  return out;
+  const dim = provider.dim;
+  const bad = dim ? vectors.find((v) => !Array.isArray(v) || v.length !== dim) : null;
+  if (bad) {
+    throw new Error(`${provider.name} embeddings: model ${provider.model} returned dim ${bad?.length}, expected ${dim}`);
+  }
+  return vectors;
+}
+
+/** Cache namespace: vectors differ per provider, model and output dimension */
+function cacheModelId(provider) {
+  return [provider.name, provider.model, provider.dim || ""].join(":");
+}
+
+function batchSettings() {
+  return {
+    maxItems: parseInt(process.env.EMBED_BATCH_SIZE || "64", 10),
+    maxChars: parseInt(process.env.EMBED_BATCH_MAX_CHARS || "60000", 10),
+    concurrency: parseInt(process.env.EMBED_CONCURRENCY || "2", 10),
+    retries: parseInt(process.env.EMBED_MAX_RETRIES || "4", 10),
+    baseDelayMs: parseInt(process.env.EMBED_RETRY_BASE_MS || "500", 10),
+    maxDelayMs: parseInt(process.env.EMBED_RETRY_MAX_MS || "30000", 10),
+  };
 }
 
 /**
- * === Jina embedding calls ===
- *
- * Note: Jina's public API can be called via REST. The exact request/response
- * shape may differ by model/SDK version. This implementation tries a common
- * /embeddings POST shape:
- *
- * POST { model: 'jina_ai/jina-embeddings-v3', input: ['text1','text2'] }
- *
- * Response assumed to contain something like:
- * { data: [{ embedding: [ ... ] }, ...] }  (we handle a few common variants)
- *
- * If the request fails or the response shape is unexpected, we fallback to stub.
+ * EmbeddingError — thrown by embedTexts when one or more batches failed.
+ * `batches` holds the failed batch reports (see embedTextsDetailed).
  */
-async function jinaEmbedTexts(texts = [], options = {}) {
-  if (!Array.isArray(texts)) throw new Error("jinaEmbedTexts expects an array");
-
-  if (!JINA_API_KEY) {
-    // No key — fallback to local stub
-    return stubEmbedTexts(texts);
+export class EmbeddingError extends Error {
+  constructor(message, { batches = [] } = {}) {
+    super(message);
+    this.name = "EmbeddingError";
+    this.batches = batches;
   }
+}
 
-  // choose model — allow override via env or options
-  const model =
-    options.model ||
-    process.env.JINA_EMBEDDING_MODEL ||
-    "jina_ai/jina-embeddings-v3";
-
-  try {
-    const payload = {
-      model,
-      input: texts,
-      // other provider-specific params could go here
-      // for example: { truncate: 'none' } etc.
-    };
-
-    const headers = {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${JINA_API_KEY}`,
-    };
-
-    const resp = await axios.post(JINA_API_URL, payload, {
-      headers,
-      timeout: 120000,
-    });
-
-    // Try to find embeddings in common fields
-    if (!resp || !resp.data) {
-      console.warn("Jina embeddings: empty response, falling back to stub");
-      return stubEmbedTexts(texts);
-    }
-
-    // Common variant: resp.data.data is an array of objects with `embedding`
-    if (
-      Array.isArray(resp.data.data) &&
-      resp.data.data.length > 0 &&
-      resp.data.data[0].embedding
-    ) {
-      return resp.data.data.map((d) => d.embedding);
-    }
-
-    // Another variant: resp.data (itself) is an array of embeddings
-    if (Array.isArray(resp.data) && Array.isArray(resp.data[0])) {
-      return resp.data;
+/**
+ * embedTextsDetailed(texts)
+ * Embeds texts in batches (EMBED_BATCH_SIZE texts / EMBED_BATCH_MAX_CHARS characters),
+ * EMBED_CONCURRENCY at a time, retrying 429/5xx/network failures with backoff.
+ * Texts found in the embedding cache are not sent to the provider, and duplicates
+ * are embedded once. A failed batch does not fail the others. Returns:
+ * - vectors: one entry per text, null where its batch failed
+ * - batches: [{ index, start, count, chars, attempts, ok, fallback?, error? }]
+ *            (start = input position of the batch's first text)
+ * - errors:  the batches that failed
+ * - cached:  distinct texts answered from the cache
+ */
+export async function embedTextsDetailed(texts = []) {
+  if (!Array.isArray(texts)) throw new Error("embedTexts expects an array");
+  const vectors = new Array(texts.length).fill(null);
+  if (!texts.length) return { vectors, batches: [], errors: [], cached: 0 };
+
+  const provider = getEmbeddingProvider();
+  const cfg = batchSettings();
+  const limiter = pLimit(Math.max(1, cfg.concurrency));
+
+  // stub vectors are free; everything else goes through the cache
+  const cacheModel = provider === stub ? null : cacheModelId(provider);
+  const hits = cacheModel ? await embeddingCache.getMany(cacheModel, texts) : new Map();
+
+  // each distinct uncached text is embedded once; positions maps it back to the input
+  const positions = new Map();
+  const pending = [];
+  texts.forEach((text, i) => {
+    if (hits.has(text)) {
+      vectors[i] = hits.get(text);
+      return;
     }
-
-    // Also handle wrapped responses like { embeddings: [...] }
-    if (Array.isArray(resp.data.embeddings)) {
-      return resp.data.embeddings;
+    if (!positions.has(text)) {
+      positions.set(text, []);
+      pending.push(text);
     }
-
-    // If we couldn't parse embeddings, fallback gracefully
-    console.warn(
-      "Jina embeddings: unexpected response shape, falling back to stub",
-      Object.keys(resp.data)
-    );
-    return stubEmbedTexts(texts);
-  } catch (err) {
-    console.error(
-      "Jina embeddings request failed — falling back to stub:",
-      err.message || err
-    );
-    return stubEmbedTexts(texts);
-  }
+    positions.get(text).push(i);
+  });
+  const fresh = [];
+
+  const batches = await Promise.all(
+    makeBatches(pending, cfg).map((batch, index) =>
+      limiter(async () => {
+        const start = positions.get(batch.texts[0])[0];
+        const report = { index, start, count: batch.texts.length, chars: batch.chars, attempts: 0, ok: false };
+        let result;
+        try {
+          const { value, attempts } = await withRetry(
+            async () => checkVectors(provider, batch.texts, await provider.embedTexts(batch.texts)),
+            {
+              ...cfg,
+              onRetry: (err, attempt, wait) =>
+                console.warn(
+                  `[embeddings] ${provider.name} batch ${index} failed (${describeError(err)}); retry ${attempt}/${cfg.retries} in ${wait}ms`
+                ),
+            }
+          );
+          result = value;
+          report.attempts = attempts;
+          batch.texts.forEach((text, i) => fresh.push({ text, vector: value[i] }));
+        } catch (err) {
+          report.attempts = err.attempts || 1;
+          report.error = describeError(err);
+          if (provider === stub || !fallbackEnabled()) return report;
+          console.error(
+            `${provider.name} embeddings batch ${index} failed — falling back to stub (EMBED_FALLBACK_TO_STUB=true):`,
+            report.error
+          );
+          result = await stub.embedTexts(batch.texts);
+          report.fallback = true;
+        }
+        result.forEach((v, i) => {
+          for (const pos of positions.get(batch.texts[i])) vectors[pos] = v;
+        });
+        report.ok = true;
+        return report;
+      })
+    )
+  );
+
+  if (cacheModel) await embeddingCache.setMany(cacheModel, fresh);
+
+  return { vectors, batches, errors: batches.filter((b) => !b.ok), cached: hits.size };
 }
 
 /**
  * Public API
  */
-export async function embedText(text, options = {}) {
-  const arr = await jinaEmbedTexts([text], options);
+export async function embedText(text) {
+  const arr = await embedTexts([text]);
   return arr[0];
 }
 
-export async function embedTexts(texts = [], options = {}) {
-  return jinaEmbedTexts(texts, options);
+/** All vectors, or EmbeddingError when any batch failed */
+export async function embedTexts(texts = []) {
+  const { vectors, batches, errors } = await embedTextsDetailed(texts);
+  if (errors.length) {
+    throw new EmbeddingError(
+      `embeddings failed for ${errors.length} of ${batches.length} batches: ${errors[0].error}`,
+      { batches: errors }
+    );
+  }
+  return vectors;
 }
 
 export default {
   embedText,
   embedTexts,
-  DIM,
+  embedTextsDetailed,
+  embeddingInfo,
+  cacheStats: embeddingCache.stats,
+  getEmbeddingProvider,
 };
@@ -0,0 +1,70 @@
+// src/services/hybridSearch.js
+// Hybrid retrieval: Qdrant vector hits + BM25 lexical hits fused with
+// reciprocal rank fusion (RRF): score = Σ weight / (k + rank).
+// Env vars:
+// - HYBRID_SEARCH_ENABLED   "false" to use vector search only (default true)
+// - HYBRID_VECTOR_WEIGHT    RRF weight of the vector ranking (default 1)
+// - HYBRID_LEXICAL_WEIGHT   RRF weight of the BM25 ranking (default 1)
+// - HYBRID_RRF_K            RRF rank constant (default 60)
+// - HYBRID_CANDIDATES       hits fetched from each retriever before fusion (default max(4*topK, 20))
+
+import vectorClient from './vectorClient.mjs';
+import lexicalIndex from './lexicalIndex.js';
+import { toQdrantFilter } from '../utils/searchFilters.js';
+
+const ENABLED = (process.env.HYBRID_SEARCH_ENABLED || 'true') !== 'false';
+const VECTOR_WEIGHT = parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1');
+const LEXICAL_WEIGHT = parseFloat(process.env.HYBRID_LEXICAL_WEIGHT || '1');
+const RRF_K = parseInt(process.env.HYBRID_RRF_K || '60', 10);
+const CANDIDATES = parseInt(process.env.HYBRID_CANDIDATES || '0', 10);
+
+function hitKey(h) {
+  if (h.id != null) return String(h.id);
+  return `${h.url || h.title || ''}#${h.chunkIndex ?? ''}`;
+}
+
+/**
+ * fuse(rankings, { k }) — rankings: [{ hits, weight, field }]
+ * Returns hits ordered by fused score; each keeps the per-retriever score in
+ * `field` (e.g. vectorScore / lexicalScore) and its fused score in `score`.
+ */
+export function fuse(rankings, { k = RRF_K } = {}) {
+  const byKey = new Map();
+  for (const { hits, weight, field } of rankings) {
+    if (!weight) continue;
+    hits.forEach((h, rank) => {
+      const key = hitKey(h);
+      const entry = byKey.get(key) || { ...h, score: 0, vectorScore: null, lexicalScore: null };
+      entry.score += weight / (k + rank + 1);
+      entry[field] = h.score;
+      byKey.set(key, entry);
+    });
+  }
+  return [...byKey.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * search(query, topK, { filters }) -> fused hits (same shape as vectorClient.search plus
+ * vectorScore / lexicalScore). Falls back to vector-only if the lexical side fails.
+ * filters: parsed retrieval filters, applied to both retrievers.
+ */
+export async function search(query, topK = 5, { filters = null } = {}) {
+  const filter = toQdrantFilter(filters);
+  if (!ENABLED) return vectorClient.search(query, topK, { filter });
+
+  const candidates = CANDIDATES || Math.max(topK * 4, 20);
+  const [vectorHits, lexicalHits] = await Promise.all([
+    vectorClient.search(query, candidates, { filter }),
+    lexicalIndex.search(query, candidates, { filters }).catch((e) => {
+      console.warn('[hybridSearch] lexical search failed, using vector hits only:', e?.message || e);
+      return [];
+    }),
+  ]);
+
+  return fuse([
+    { hits: vectorHits, weight: VECTOR_WEIGHT, field: 'vectorScore' },
+    { hits: lexicalHits, weight: LEXICAL_WEIGHT, field: 'lexicalScore' },
+  ]).slice(0, topK);
+}
+
+export default { search, fuse };
@@ -0,0 +1,243 @@
+// src/services/ingestScheduler.js
+// Scheduled feed re-ingestion.
+// - start(): schedules runFeedIngest on INGEST_CRON (no-op when unset)
+// - runNow({ trigger }): one run at a time (Redis lock when available, in-process flag otherwise)
+// - listRuns(limit): recent run records (Postgres IngestRun, in-memory fallback)
+// Env vars:
+// - INGEST_CRON            cron expression, e.g. "0 */6 * * *"
+// - INGEST_CRON_TIMEZONE   optional IANA timezone for INGEST_CRON
+// - INGEST_RUN_LIMIT       max items per run (default 200)
+// - INGEST_LOCK_TTL_MS     lock expiry, guards against crashed runs (default 30 min);
+//                          renewed every third of it while a run is active
+
+import crypto from 'crypto';
+import cron from 'cron';
+import { v4 as uuidv4 } from 'uuid';
+import { runFeedIngest } from '../ingest/ingest_feeds.mjs';
+import { getPrisma } from './prisma.js';
+import { getRedis } from './redisClient.js';
+
+const CRON_EXPR = (process.env.INGEST_CRON || '').trim();
+const CRON_TZ = process.env.INGEST_CRON_TIMEZONE || undefined;
+const RUN_LIMIT = parseInt(process.env.INGEST_RUN_LIMIT || '200', 10);
+const LOCK_TTL_MS = parseInt(process.env.INGEST_LOCK_TTL_MS || String(30 * 60 * 1000), 10);
+const LOCK_KEY = 'ingest:lock';
+const MAX_MEMORY_RUNS = 50;
+
+// compare-and-delete so a run never releases a lock that expired and was re-acquired
+const RELEASE_LOCK_LUA = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+// compare-and-pexpire: keeps the lock alive for a slow run without touching a lock
+// that expired and was taken by another run
+const EXTEND_LOCK_LUA = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+let job = null;
+let localRunning = false;
+const memoryRuns = []; // newest first; used when Prisma is unavailable or a write to it failed
+
+export class IngestAlreadyRunningError extends Error {
+  constructor() {
+    super('An ingest run is already in progress');
+    this.name = 'IngestAlreadyRunningError';
+  }
+}
+
+/* ----------------- Lock ----------------- */
+async function acquireLock() {
+  const redis = await getRedis();
+  if (redis) {
+    const token = crypto.randomUUID();
+    const ok = await redis.set(LOCK_KEY, token, 'PX', LOCK_TTL_MS, 'NX');
+    if (!ok) return null;
+    const lock = { redis, token, renew: null };
+    lock.renew = setInterval(() => extendLock(lock), Math.max(Math.floor(LOCK_TTL_MS / 3), 1000));
+    lock.renew.unref?.();
+    return lock;
+  }
+  if (localRunning) return null;
+  localRunning = true;
+  return { redis: null, token: null };
+}
+
+async function extendLock(lock) {
+  try {
+    const extended = await lock.redis.eval(EXTEND_LOCK_LUA, 1, LOCK_KEY, lock.token, LOCK_TTL_MS);
+    if (!extended) console.warn('[ingestScheduler] ingest lock was lost; another run may start');
+  } catch (e) {
+    console.warn('[ingestScheduler] lock renewal failed:', e?.message || e);
+  }
+}
+
+async function releaseLock(lock) {
+  if (lock.redis) {
+    clearInterval(lock.renew);
+    try {
+      await lock.redis.eval(RELEASE_LOCK_LUA, 1, LOCK_KEY, lock.token);
+    } catch (e) {
+      console.warn('[ingestScheduler] lock release failed (will expire):', e?.message || e);
+    }
+    return;
+  }
+  localRunning = false;
+}
+
+/* ----------------- Run records ----------------- */
+async function recordStart(run) {
+  const prisma = await getPrisma();
+  if (prisma) {
+    try {
+      await prisma.ingestRun.create({
+        data: { id: run.id, trigger: run.trigger, status: run.status, startedAt: run.startedAt },
+      });
+      return;
+    } catch (e) {
+      console.warn('[ingestScheduler] recordStart: prisma write failed (using memory):', e?.message || e);
+    }
+  }
+  rememberRun(run);
+}
+
+function rememberRun(run) {
+  memoryRuns.unshift(run);
+  memoryRuns.length = Math.min(memoryRuns.length, MAX_MEMORY_RUNS);
+}
+
+async function recordFinish(run) {
+  const mem = memoryRuns.find((r) => r.id === run.id);
+  if (mem) {
+    Object.assign(mem, run);
+    return;
+  }
+  const prisma = await getPrisma();
+  if (!prisma) return;
+  try {
+    await prisma.ingestRun.update({
+      where: { id: run.id },
+      data: {
+        status: run.status,
+        finishedAt: run.finishedAt,
+        itemsSeen: run.itemsSeen,
+        itemsAdded: run.itemsAdded,
+        itemsSkipped: run.itemsSkipped,
+        errors: run.errors,
+      },
+    });
+  } catch (e) {
+    // the row still says "running"; listRuns shows this copy instead
+    console.warn('[ingestScheduler] recordFinish: prisma write failed (using memory):', e?.message || e);
+    rememberRun(run);
+  }
+}
+
+/* ----------------- Public API ----------------- */
+
+/**
+ * runNow({ trigger, wait })
+ * Starts a run; throws IngestAlreadyRunningError when another run holds the lock.
+ * Returns the run record; with wait=false the run continues in the background.
+ */
+export async function runNow({ trigger = 'manual', wait = true } = {}) {
+  const lock = await acquireLock();
+  if (!lock) throw new IngestAlreadyRunningError();
+
+  const run = {
+    id: uuidv4(),
+    trigger,
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    itemsSeen: 0,
+    itemsAdded: 0,
+    itemsSkipped: 0,
+    errors: [],
+  };
+
+  const execute = async () => {
+    try {
+      await recordStart(run);
+      const results = await runFeedIngest({ limit: RUN_LIMIT });
+      Object.assign(run, {
+        status: 'succeeded',
+        itemsSeen: results.itemsSeen,
+        itemsAdded: results.itemsAdded,
+        itemsSkipped: results.itemsSkipped,
+        errors: results.errors,
+      });
+    } catch (err) {
+      console.error('[ingestScheduler] run failed', err);
+      run.status = 'failed';
+      run.errors = [...run.errors, { url: null, error: err.message || String(err) }];
+    } finally {
+      run.finishedAt = new Date();
+      await recordFinish(run);
+      await releaseLock(lock);
+    }
+    return run;
+  };
+
+  if (wait) return execute();
+  execute();
+  return { ...run };
+}
+
+/**
+ * listRuns(limit)
+ * Newest first: [{ id, trigger, status, startedAt, finishedAt, itemsSeen, itemsAdded, itemsSkipped, errors }]
+ */
+export async function listRuns(limit = 20) {
+  const prisma = await getPrisma();
+  if (prisma) {
+    try {
+      const rows = await prisma.ingestRun.findMany({ orderBy: { startedAt: 'desc' }, take: limit });
+      // runs recorded in memory while the DB was unreachable still show up, and a
+      // finish kept in memory replaces its row
+      const kept = new Set(memoryRuns.map((r) => r.id));
+      return [...memoryRuns, ...rows.filter((r) => !kept.has(r.id))]
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+        .slice(0, limit);
+    } catch (e) {
+      console.warn('[ingestScheduler] listRuns: prisma read failed:', e?.message || e);
+    }
+  }
+  return memoryRuns.slice(0, limit);
+}
+
+/** Schedule runs on INGEST_CRON; returns the CronJob or null when not configured */
+export function start() {
+  if (job || !CRON_EXPR) return job;
+  job = new cron.CronJob(
+    CRON_EXPR,
+    async () => {
+      try {
+        await runNow({ trigger: 'cron' });
+      } catch (err) {
+        if (err instanceof IngestAlreadyRunningError) {
+          console.log('[ingestScheduler] skipped scheduled run: previous run still in progress');
+        } else {
+          console.error('[ingestScheduler] scheduled run error', err);
+        }
+      }
+    },
+    null,
+    false,
+    CRON_TZ
+  );
+  job.start();
+  console.log(`[ingestScheduler] scheduled feed ingestion: "${CRON_EXPR}"`);
+  return job;
+}
+
+export function stop() {
+  if (job) job.stop();
+  job = null;
+}
+
+export default { start, stop, runNow, listRuns, IngestAlreadyRunningError };
@@ -0,0 +1,118 @@
+// src/services/lexicalIndex.js
+// In-memory BM25 index over the same chunks stored in Qdrant.
+// Catches what cosine similarity misses: names, tickers, exact phrases.
+// The index is rebuilt lazily from a Qdrant scroll when it is older than
+// HYBRID_INDEX_TTL_SECONDS or when this process wrote to the collection.
+
+import winkLemmatizer from 'wink-lemmatizer';
+import { removeStopwords } from 'stopword';
+import pkg from 'natural';
+import vectorClient from './vectorClient.mjs';
+import { matchesFilters } from '../utils/searchFilters.js';
+
+const { WordTokenizer } = pkg;
+const tokenizer = new WordTokenizer();
+
+const INDEX_TTL_MS = parseInt(process.env.HYBRID_INDEX_TTL_SECONDS || '300', 10) * 1000;
+const MAX_CHUNKS = parseInt(process.env.HYBRID_INDEX_MAX_CHUNKS || '20000', 10);
+// standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// extra score for chunks that contain a quoted query phrase verbatim
+const PHRASE_BOOST = 2;
+
+/**
+ * analyze(text) -> normalized terms
+ * lowercase, tokenize, drop stopwords, noun-lemmatize ("elections" -> "election").
+ * Tokens containing digits (tickers, years) are kept as-is.
+ */
+export function analyze(text) {
+  const tokens = tokenizer.tokenize(String(text || '').toLowerCase());
+  return removeStopwords(tokens).map((t) => (/\d/.test(t) ? t : winkLemmatizer.noun(t) || t));
+}
+
+function quotedPhrases(query) {
+  return [...String(query).matchAll(/"([^"]{3,})"/g)].map((m) => m[1].toLowerCase());
+}
+
+let index = null; // { docs, df, avgLen, builtAt, version }
+let building = null;
+
+async function build() {
+  const chunks = await vectorClient.scrollAll({ limit: MAX_CHUNKS });
+  const df = new Map();
+  let totalLen = 0;
+  const docs = chunks.map((chunk) => {
+    const terms = analyze(`${chunk.title || ''}\n${chunk.text || ''}`);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    totalLen += terms.length;
+    return { chunk, tf, len: terms.length, lower: String(chunk.text || '').toLowerCase() };
+  });
+  console.log(`[lexicalIndex] built BM25 index over ${docs.length} chunks`);
+  return {
+    docs,
+    df,
+    avgLen: docs.length ? totalLen / docs.length : 0,
+    builtAt: Date.now(),
+    version: vectorClient.getWriteVersion(),
+  };
+}
+
+async function getIndex() {
+  const fresh =
+    index &&
+    Date.now() - index.builtAt < INDEX_TTL_MS &&
+    index.version === vectorClient.getWriteVersion();
+  if (fresh) return index;
+  if (!building) {
+    building = build()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  // serve the stale index while a rebuild is in flight, if there is one
+  return index || building;
+}
+
+/**
+ * search(query, topK, { filters }) -> hits shaped like vectorClient.search, score = BM25 score
+ * filters: parsed retrieval filters (parseFilters in src/utils/searchFilters.js)
+ */
+export async function search(query, topK = 5, { filters = null } = {}) {
+  const idx = await getIndex();
+  const terms = [...new Set(analyze(query))];
+  const phrases = quotedPhrases(query);
+  if (!idx.docs.length || (!terms.length && !phrases.length)) return [];
+
+  const N = idx.docs.length;
+  const scored = [];
+  for (const doc of idx.docs) {
+    if (!matchesFilters(doc.chunk, filters)) continue;
+    let score = 0;
+    for (const t of terms) {
+      const f = doc.tf.get(t);
+      if (!f) continue;
+      const n = idx.df.get(t) || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * doc.len) / (idx.avgLen || 1))));
+    }
+    for (const p of phrases) {
+      if (doc.lower.includes(p)) score += PHRASE_BOOST;
+    }
+    if (score > 0) scored.push({ ...doc.chunk, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+/** Drop the cached index; the next search rebuilds it */
+export function invalidate() {
+  index = null;
+}
+
+export default { search, analyze, invalidate };
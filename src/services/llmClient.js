@@ -1,124 +1,66 @@
 // src/services/llmClient.js
-// Streaming-only LLM client for Gemini (simulated streaming).
+// Streaming-only LLM client with pluggable providers.
 // - generateStream(prompt, opts, onChunk): emits chunks via onChunk()
+// Providers live in ./llmProviders and all return the same shape:
+//   { ok, provider, model, streamed, usage: { promptTokens, completionTokens, totalTokens } | null, finishReason, stub? }
+// and throw LlmError ({ provider, status, emitted, retryable }) on failure.
 // Env vars:
-// - GEMINI_API_KEY
-// - GEMINI_MODEL
-// - LLM_STUB_ENABLED ("true" to force the stub)
+// - LLM_PROVIDER      "gemini" (default) | "openai" | "ollama" | "stub"
+// - LLM_STUB_ENABLED  ("true" to force the stub)
+// - provider settings: see the header of each module in ./llmProviders
 
-import axios from "axios";  // Replace fetch with axios
 import "dotenv/config";
+import gemini from "./llmProviders/gemini.js";
+import openai from "./llmProviders/openai.js";
+import ollama from "./llmProviders/ollama.js";
+import stub from "./llmProviders/stub.js";
+import { LlmError } from "./llmProviders/shared.js";
 
-const KEY = process.env.GEMINI_API_KEY || "";
-const MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash";
+export { LlmError };
 
-/* ----------------- Helpers ----------------- */
-function chunkString(s, n) {
-  if (!s) return [];
-  const out = [];
-  for (let i = 0; i < s.length; i += n) out.push(s.slice(i, i + n));
-  return out;
-}
-function maybeDelay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms || 0));
-}
+const PROVIDERS = { gemini, openai, ollama, stub };
 
-/* ----------------- Stub ----------------- */
-function stubResponse(prompt) {
-  const preview = String(prompt).slice(0, 300).replace(/\s+/g, " ");
-  return `STUB RESPONSE — echo of prompt (first 300 chars):\n\n${preview}\n\n(Enable GEMINI_API_KEY to call real API.)`;
-}
+let fallbackWarned = false;
 
-/* ----------------- Internal: non-streaming call used by streaming wrapper ----------------- */
-async function callGeminiGenerate(prompt, opts = {}) {
-  if (process.env.LLM_STUB_ENABLED === "true" || !KEY) {
-    return { text: stubResponse(prompt), raw: null, stub: true };
+/**
+ * getProvider()
+ * Provider selected by LLM_PROVIDER. An unconfigured provider (e.g. gemini
+ * without GEMINI_API_KEY) falls back to the stub, as before the provider layer.
+ */
+export function getProvider() {
+  if (process.env.LLM_STUB_ENABLED === "true") return stub;
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  if (!provider.isConfigured()) {
+    if (!fallbackWarned) {
+      console.warn(`[llmClient] LLM_PROVIDER "${name}" is not configured — using the stub provider.`);
+      fallbackWarned = true;
+    }
+    return stub;
   }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    MODEL
-  )}:generateContent?key=${encodeURIComponent(KEY)}`;
-
-  const body = {
-    contents: [{ parts: [{ text: prompt }] }],
-  };
-  if (typeof opts.temperature === "number") body.temperature = opts.temperature;
-  if (typeof opts.maxOutputTokens === "number") {
-  body.generationConfig = { maxOutputTokens: opts.maxOutputTokens };
+  return provider;
 }
 
-  try {
-    const resp = await axios.post(url, body, {
-      headers: { "Content-Type": "application/json" },
-    });
-
-    const data = resp.data;
-
-    // Extract text from possible shapes
-    let text = "";
-    try {
-      if (Array.isArray(data?.candidates) && data.candidates.length > 0) {
-        const c = data.candidates[0];
-        if (Array.isArray(c?.content?.parts)) {
-          text = c.content.parts.map((p) => p.text || "").join("\n");
-        } else if (typeof c?.output?.text === "string") {
-          text = c.output.text;
-        }
-      } else if (Array.isArray(data?.output?.items)) {
-        text = data.output.items.map((it) => it.text || "").join("");
-      } else if (typeof data?.output?.text === "string") {
-        text = data.output.text;
-      } else {
-        text = JSON.stringify(data).slice(0, 2000);
-      }
-    } catch (e) {
-      text = JSON.stringify(data).slice(0, 1000);
-    }
-
-    return { text, raw: data };
-  } catch (err) {
-    const msg = err.response ? JSON.stringify(err.response.data) : `status ${err.response.status} ${err.response.statusText}`;
-    const apiErr = new Error(`Gemini API error: ${msg}`);
-    apiErr.raw = err.response?.data || null;
-    throw apiErr;
-  }
+/** true when generateStream will answer from the local stub instead of a real model */
+export function isStubbed() {
+  return getProvider() === stub;
 }
 
 /**
  * generateStream(prompt, opts, onChunk)
  * - onChunk(chunk) may be async
  * - opts:
- *    - chunkSize (default 120)
- *    - delayMs (default 20)
+ *    - chunkSize (default 120)         simulated/stub paths only
+ *    - delayMs (default 20)            simulated/stub paths only
  *    - maxOutputTokens (optional)
+ *    - temperature (optional)
+ *    - signal (optional AbortSignal) — cancels the upstream call; rejects with an aborted LlmError
  */
 export async function generateStream(prompt, opts = {}, onChunk = () => {}) {
-  // stub path: produce a deterministic stub and stream it
-  if (process.env.LLM_STUB_ENABLED === "true" || !KEY) {
-    const stub = stubResponse(prompt);
-    const chunks = chunkString(stub, opts.chunkSize || 120);
-    for (const c of chunks) {
-      await maybeDelay(opts.delayMs || 20);
-      // allow consumer to be async
-      // eslint-disable-next-line no-await-in-loop
-      await onChunk(c);
-    }
-    return { ok: true, stub: true };
-  }
-
-  // Real provider: Gemini doesn't provide streaming over REST in this shape,
-  // so do a single call then chunk the result to simulate streaming.
-  const result = await callGeminiGenerate(prompt, opts);
-  const text = result.text || "";
-  const chunks = chunkString(text, opts.chunkSize || 120);
-
-  for (const c of chunks) {
-    await maybeDelay(opts.delayMs || 20);
-    // eslint-disable-next-line no-await-in-loop
-    await onChunk(c);
-  }
-
-  return { ok: true, raw: result.raw || null };
+  const provider = getProvider();
+  const result = await provider.generateStream(prompt, opts, onChunk);
+  return { usage: null, finishReason: null, ...result };
 }
 
-export default { generateStream };
+export default { generateStream, isStubbed, getProvider, LlmError };
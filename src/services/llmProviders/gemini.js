@@ -0,0 +1,152 @@
+// src/services/llmProviders/gemini.js
+// Google Gemini via REST.
+// Streams with :streamGenerateContent (SSE) and falls back to a single
+// :generateContent call sliced into chunks if streaming fails up front with a
+// network error or a 5xx (client errors such as 400/401/403/429 are thrown as-is).
+// Env vars:
+// - GEMINI_API_KEY
+// - GEMINI_MODEL (default gemini-2.0-flash)
+// - GEMINI_API_BASE (default https://generativelanguage.googleapis.com/v1beta; tests point it at a fake server)
+// - LLM_STREAMING ("false" to use the simulated-streaming path only)
+
+import axios from 'axios';
+import { emitChunked, normalizeUsage, parseSseStream, toLlmError, throwIfAborted, LlmError } from './shared.js';
+
+function settings() {
+  return {
+    key: process.env.GEMINI_API_KEY || '',
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    base: (process.env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, ''),
+    streaming: (process.env.LLM_STREAMING || 'true') !== 'false',
+  };
+}
+
+function buildRequestBody(prompt, opts = {}) {
+  const body = {
+    contents: [{ parts: [{ text: prompt }] }],
+  };
+  if (typeof opts.temperature === 'number') body.temperature = opts.temperature;
+  if (typeof opts.maxOutputTokens === 'number') {
+    body.generationConfig = { maxOutputTokens: opts.maxOutputTokens };
+  }
+  return body;
+}
+
+/** Text of the first candidate of a (partial) GenerateContentResponse */
+function candidateText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) return '';
+  return parts.map((p) => p.text || '').join('');
+}
+
+function usageOf(meta) {
+  if (!meta) return null;
+  return normalizeUsage(meta.promptTokenCount, meta.candidatesTokenCount, meta.totalTokenCount);
+}
+
+function endpoint(cfg, method) {
+  return `${cfg.base}/models/${encodeURIComponent(cfg.model)}:${method}`;
+}
+
+/* ----------------- non-streaming call used as fallback ----------------- */
+async function callGenerate(prompt, opts, cfg) {
+  const resp = await axios.post(
+    `${endpoint(cfg, 'generateContent')}?key=${encodeURIComponent(cfg.key)}`,
+    buildRequestBody(prompt, opts),
+    { headers: { 'Content-Type': 'application/json' }, signal: opts.signal }
+  );
+  const data = resp.data;
+
+  // Extract text from possible shapes
+  let text = '';
+  if (Array.isArray(data?.candidates) && data.candidates.length > 0) {
+    const c = data.candidates[0];
+    if (Array.isArray(c?.content?.parts)) {
+      text = c.content.parts.map((p) => p.text || '').join('\n');
+    } else if (typeof c?.output?.text === 'string') {
+      text = c.output.text;
+    }
+  } else if (Array.isArray(data?.output?.items)) {
+    text = data.output.items.map((it) => it.text || '').join('');
+  } else if (typeof data?.output?.text === 'string') {
+    text = data.output.text;
+  } else {
+    text = JSON.stringify(data).slice(0, 2000);
+  }
+
+  return { text, usage: usageOf(data?.usageMetadata), finishReason: data?.candidates?.[0]?.finishReason || null };
+}
+
+/* ----------------- real streaming via SSE ----------------- */
+async function callStream(prompt, opts, onChunk, cfg, progress) {
+  const resp = await axios.post(
+    `${endpoint(cfg, 'streamGenerateContent')}?alt=sse&key=${encodeURIComponent(cfg.key)}`,
+    buildRequestBody(prompt, opts),
+    {
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      responseType: 'stream',
+      signal: opts.signal,
+    }
+  );
+
+  let usage = null;
+  let finishReason = null;
+  await parseSseStream(resp.data, async (data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (_) {
+      return; // keep-alive or non-JSON line
+    }
+    if (event.error) {
+      throw new LlmError(`gemini stream error: ${JSON.stringify(event.error)}`, {
+        provider: 'gemini',
+        status: event.error.code || null,
+      });
+    }
+    if (event.usageMetadata) usage = usageOf(event.usageMetadata);
+    finishReason = event.candidates?.[0]?.finishReason || finishReason;
+    const delta = candidateText(event);
+    if (!delta) return;
+    throwIfAborted(opts.signal, 'gemini', progress.emitted);
+    progress.emitted += 1;
+    await onChunk(delta);
+  }, opts.signal);
+  return { usage, finishReason };
+}
+
+async function generateStream(prompt, opts = {}, onChunk = () => {}) {
+  const cfg = settings();
+  const progress = { emitted: 0 };
+
+  if (cfg.streaming) {
+    try {
+      const r = await callStream(prompt, opts, onChunk, cfg, progress);
+      return { ok: true, provider: 'gemini', model: cfg.model, streamed: true, ...r };
+    } catch (err) {
+      const e = await toLlmError(err, 'gemini', progress.emitted, opts.signal);
+      // part of the answer already reached the client: retrying would duplicate it
+      if (e.emitted > 0 || e.aborted) throw e;
+      // a rejected request (bad key, bad prompt, quota) fails the same way without streaming
+      if (e.status != null && e.status < 500) throw e;
+      console.warn('[llm:gemini] streaming failed, falling back to generateContent:', e.message);
+    }
+  }
+
+  try {
+    const r = await callGenerate(prompt, opts, cfg);
+    await emitChunked(r.text, opts, onChunk, 'gemini');
+    return { ok: true, provider: 'gemini', model: cfg.model, streamed: false, usage: r.usage, finishReason: r.finishReason };
+  } catch (err) {
+    throw await toLlmError(err, 'gemini', 0, opts.signal);
+  }
+}
+
+export default {
+  name: 'gemini',
+  get model() {
+    return settings().model;
+  },
+  isConfigured: () => Boolean(settings().key),
+  generateStream,
+};
@@ -0,0 +1,59 @@
+// src/services/llmProviders/ollama.js
+// Local Ollama server via /api/chat (newline-delimited JSON stream).
+// Env vars:
+// - OLLAMA_BASE_URL (default http://localhost:11434)
+// - OLLAMA_MODEL    (default llama3.1)
+
+import axios from 'axios';
+import { normalizeUsage, parseNdjsonStream, toLlmError, throwIfAborted, LlmError } from './shared.js';
+
+function settings() {
+  return {
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    base: (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, ''),
+  };
+}
+
+async function generateStream(prompt, opts = {}, onChunk = () => {}) {
+  const cfg = settings();
+  const options = {};
+  if (typeof opts.temperature === 'number') options.temperature = opts.temperature;
+  if (typeof opts.maxOutputTokens === 'number') options.num_predict = opts.maxOutputTokens;
+
+  let emitted = 0;
+  let usage = null;
+  let finishReason = null;
+  try {
+    const resp = await axios.post(
+      `${cfg.base}/api/chat`,
+      { model: cfg.model, messages: [{ role: 'user', content: prompt }], stream: true, options },
+      { headers: { 'Content-Type': 'application/json' }, responseType: 'stream', signal: opts.signal }
+    );
+
+    await parseNdjsonStream(resp.data, async (line) => {
+      if (line.error) throw new LlmError(`ollama error: ${line.error}`, { provider: 'ollama' });
+      if (line.done) {
+        usage = normalizeUsage(line.prompt_eval_count, line.eval_count);
+        finishReason = line.done_reason || 'stop';
+      }
+      const delta = line.message?.content;
+      if (!delta) return;
+      throwIfAborted(opts.signal, 'ollama', emitted);
+      emitted += 1;
+      await onChunk(delta);
+    }, opts.signal);
+
+    return { ok: true, provider: 'ollama', model: cfg.model, streamed: true, usage, finishReason };
+  } catch (err) {
+    throw await toLlmError(err, 'ollama', emitted, opts.signal);
+  }
+}
+
+export default {
+  name: 'ollama',
+  get model() {
+    return settings().model;
+  },
+  isConfigured: () => true,
+  generateStream,
+};
@@ -0,0 +1,85 @@
+// src/services/llmProviders/openai.js
+// OpenAI-compatible Chat Completions (OpenAI, vLLM, llama.cpp server, LM Studio, ...).
+// Streams with `stream: true` (SSE, terminated by `data: [DONE]`).
+// Env vars:
+// - OPENAI_API_BASE (default https://api.openai.com/v1; e.g. http://localhost:8080/v1 for llama.cpp)
+// - OPENAI_API_KEY  (optional for local servers)
+// - OPENAI_MODEL    (default gpt-4o-mini)
+
+import axios from 'axios';
+import { normalizeUsage, parseSseStream, toLlmError, throwIfAborted, LlmError } from './shared.js';
+
+function settings() {
+  return {
+    key: process.env.OPENAI_API_KEY || '',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    base: (process.env.OPENAI_API_BASE || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  };
+}
+
+async function generateStream(prompt, opts = {}, onChunk = () => {}) {
+  const cfg = settings();
+  const body = {
+    model: cfg.model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: true,
+    // ask for a final usage chunk; servers that don't know the option ignore it
+    stream_options: { include_usage: true },
+  };
+  if (typeof opts.temperature === 'number') body.temperature = opts.temperature;
+  if (typeof opts.maxOutputTokens === 'number') body.max_tokens = opts.maxOutputTokens;
+
+  const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+  if (cfg.key) headers.Authorization = `Bearer ${cfg.key}`;
+
+  let emitted = 0;
+  let usage = null;
+  let finishReason = null;
+  try {
+    const resp = await axios.post(`${cfg.base}/chat/completions`, body, {
+      headers,
+      responseType: 'stream',
+      signal: opts.signal,
+    });
+
+    await parseSseStream(resp.data, async (data) => {
+      if (data.trim() === '[DONE]') return;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (_) {
+        return;
+      }
+      if (event.error) {
+        throw new LlmError(`openai stream error: ${event.error.message || JSON.stringify(event.error)}`, {
+          provider: 'openai',
+          status: event.error.code && Number.isFinite(+event.error.code) ? +event.error.code : null,
+        });
+      }
+      if (event.usage) {
+        usage = normalizeUsage(event.usage.prompt_tokens, event.usage.completion_tokens, event.usage.total_tokens);
+      }
+      const choice = event.choices?.[0];
+      finishReason = choice?.finish_reason || finishReason;
+      const delta = choice?.delta?.content;
+      if (!delta) return;
+      throwIfAborted(opts.signal, 'openai', emitted);
+      emitted += 1;
+      await onChunk(delta);
+    }, opts.signal);
+
+    return { ok: true, provider: 'openai', model: cfg.model, streamed: true, usage, finishReason };
+  } catch (err) {
+    throw await toLlmError(err, 'openai', emitted, opts.signal);
+  }
+}
+
+export default {
+  name: 'openai',
+  get model() {
+    return settings().model;
+  },
+  // local OpenAI-compatible servers usually need no key, so a base URL alone is enough
+  isConfigured: () => Boolean(settings().key || process.env.OPENAI_API_BASE),
+  generateStream,
+};
@@ -0,0 +1,162 @@
+// src/services/llmProviders/shared.js
+// Helpers shared by the LLM providers: stream parsing, simulated chunking,
+// and the normalized error/usage shapes every provider returns.
+
+/**
+ * LlmError — every provider failure is surfaced as one of these.
+ * - provider: "gemini" | "openai" | "ollama" | "stub"
+ * - status:   upstream HTTP status (null for network/parse errors)
+ * - emitted:  chunks already forwarded to onChunk before the failure
+ * - retryable: 429 / 5xx / network errors
+ * - aborted:  the caller cancelled the call through opts.signal
+ */
+export class LlmError extends Error {
+  constructor(message, { provider, status = null, emitted = 0, raw = null, aborted = false } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.provider = provider;
+    this.status = status;
+    this.emitted = emitted;
+    this.raw = raw;
+    this.aborted = aborted;
+    this.retryable = !aborted && (status == null || status === 429 || status >= 500);
+  }
+}
+
+/** Throws an aborted LlmError once opts.signal has fired */
+export function throwIfAborted(signal, provider, emitted = 0) {
+  if (signal?.aborted) {
+    throw new LlmError(`${provider} generation aborted`, { provider, emitted, aborted: true });
+  }
+}
+
+/** { promptTokens, completionTokens, totalTokens } with nulls for unknown counts */
+export function normalizeUsage(promptTokens, completionTokens, totalTokens) {
+  const p = Number.isFinite(promptTokens) ? promptTokens : null;
+  const c = Number.isFinite(completionTokens) ? completionTokens : null;
+  const t = Number.isFinite(totalTokens) ? totalTokens : p != null && c != null ? p + c : null;
+  if (p == null && c == null && t == null) return null;
+  return { promptTokens: p, completionTokens: c, totalTokens: t };
+}
+
+export function chunkString(s, n) {
+  if (!s) return [];
+  const out = [];
+  for (let i = 0; i < s.length; i += n) out.push(s.slice(i, i + n));
+  return out;
+}
+
+export function maybeDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms || 0));
+}
+
+/** Emit a complete text as chunkSize pieces (used by the stub and non-streaming fallbacks); stops on opts.signal */
+export async function emitChunked(text, opts = {}, onChunk = () => {}, provider = 'stub') {
+  let emitted = 0;
+  for (const c of chunkString(text, opts.chunkSize || 120)) {
+    await maybeDelay(opts.delayMs ?? 20);
+    throwIfAborted(opts.signal, provider, emitted);
+    await onChunk(c);
+    emitted += 1;
+  }
+}
+
+/** Destroy a response stream when `signal` fires so a pending read ends; returns the cleanup */
+function destroyOnAbort(stream, signal) {
+  if (!signal || typeof stream.destroy !== 'function') return () => {};
+  const onAbort = () => stream.destroy(new Error('aborted'));
+  if (signal.aborted) onAbort();
+  else signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * parseSseStream(stream, onEvent, signal?)
+ * Reads a text/event-stream body and calls onEvent(dataString) per event
+ * (multi-line `data:` fields joined with "\n"). Resolves when the stream ends;
+ * an aborted `signal` destroys the stream.
+ */
+export async function parseSseStream(stream, onEvent, signal = null) {
+  const release = destroyOnAbort(stream, signal);
+  try {
+    await readSseEvents(stream, onEvent);
+  } finally {
+    release();
+  }
+}
+
+async function readSseEvents(stream, onEvent) {
+  let buffer = '';
+  const flush = async (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter((l) => l.startsWith('data:'))
+      .map((l) => l.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) await onEvent(data);
+  };
+  for await (const piece of stream) {
+    buffer += typeof piece === 'string' ? piece : piece.toString('utf8');
+    let m;
+    // events are separated by a blank line
+    while ((m = buffer.match(/\r?\n\r?\n/))) {
+      const block = buffer.slice(0, m.index);
+      buffer = buffer.slice(m.index + m[0].length);
+      await flush(block);
+    }
+  }
+  if (buffer.trim()) await flush(buffer);
+}
+
+/**
+ * parseNdjsonStream(stream, onLine, signal?)
+ * Newline-delimited JSON (Ollama); calls onLine(object) per non-empty line.
+ */
+export async function parseNdjsonStream(stream, onLine, signal = null) {
+  const release = destroyOnAbort(stream, signal);
+  try {
+    await readNdjsonLines(stream, onLine);
+  } finally {
+    release();
+  }
+}
+
+async function readNdjsonLines(stream, onLine) {
+  let buffer = '';
+  for await (const piece of stream) {
+    buffer += typeof piece === 'string' ? piece : piece.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (line) await onLine(JSON.parse(line));
+    }
+  }
+  if (buffer.trim()) await onLine(JSON.parse(buffer.trim()));
+}
+
+/** Body of a failed axios request as text (stream bodies are drained) */
+export async function readErrorBody(err) {
+  const data = err.response?.data;
+  if (!data) return err.message || String(err);
+  if (typeof data.on !== 'function') return typeof data === 'string' ? data : JSON.stringify(data);
+  let text = '';
+  try {
+    for await (const piece of data) text += piece.toString('utf8');
+  } catch (_) {}
+  return text || `status ${err.response.status}`;
+}
+
+/** Wrap any error thrown inside a provider call into an LlmError (cancellations become aborted errors) */
+export async function toLlmError(err, provider, emitted = 0, signal = null) {
+  if (err instanceof LlmError) {
+    if (!err.emitted) err.emitted = emitted;
+    return err;
+  }
+  if (signal?.aborted || err?.name === 'CanceledError' || err?.code === 'ERR_CANCELED') {
+    return new LlmError(`${provider} generation aborted`, { provider, emitted, aborted: true });
+  }
+  const status = err.response?.status ?? null;
+  const detail = err.response ? await readErrorBody(err) : err.message || String(err);
+  return new LlmError(`${provider} API error: ${detail}`, { provider, status, emitted, raw: err.response?.data ?? null });
+}
@@ -0,0 +1,34 @@
+// src/services/llmProviders/stub.js
+// Deterministic offline provider for local dev and tests: echoes the prompt
+// back in `chunkSize` pieces. Usage counts are character-based estimates.
+
+import { emitChunked, normalizeUsage } from './shared.js';
+
+export function stubResponse(prompt) {
+  const preview = String(prompt).slice(0, 300).replace(/\s+/g, ' ');
+  return `STUB RESPONSE — echo of prompt (first 300 chars):\n\n${preview}\n\n(Set LLM_PROVIDER and its API key to call a real model.)`;
+}
+
+async function generateStream(prompt, opts = {}, onChunk = () => {}) {
+  const text = stubResponse(prompt);
+  await emitChunked(text, opts, onChunk);
+  // ~4 chars per token, close enough for quota bookkeeping in tests
+  const promptTokens = Math.ceil(String(prompt).length / 4);
+  const completionTokens = Math.ceil(text.length / 4);
+  return {
+    ok: true,
+    stub: true,
+    provider: 'stub',
+    model: 'stub',
+    streamed: false,
+    usage: normalizeUsage(promptTokens, completionTokens),
+    finishReason: 'stop',
+  };
+}
+
+export default {
+  name: 'stub',
+  model: 'stub',
+  isConfigured: () => true,
+  generateStream,
+};
@@ -0,0 +1,32 @@
+// src/services/prisma.js
+// Shared lazy Prisma client. Prisma is optional — callers get null when
+// @prisma/client is not generated or DATABASE_URL is not configured.
+
+let prisma = null;
+let prismaWarned = false;
+
+export async function getPrisma() {
+  if (prisma) return prisma;
+  // a generated client without a URL only fails on its first query
+  if (!process.env.DATABASE_URL) return null;
+  try {
+    const mod = await import('@prisma/client');
+    prisma = new mod.PrismaClient();
+    return prisma;
+  } catch (e) {
+    prisma = null;
+    if (!prismaWarned) {
+      console.warn('[prisma] Prisma not available or not configured:', e && e.message ? e.message : e);
+      prismaWarned = true;
+    }
+    return null;
+  }
+}
+
+export async function disconnectPrisma() {
+  if (!prisma) return;
+  try { await prisma.$disconnect(); } catch (_) {}
+  prisma = null;
+}
+
+export default { getPrisma, disconnectPrisma };
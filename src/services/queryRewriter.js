@@ -0,0 +1,134 @@
+// src/services/queryRewriter.js
+// Condense a follow-up question + recent conversation into a standalone search query,
+// so "what about the second one?" retrieves the right passages.
+// rewriteQuery(message, history, { signal }) -> { query, method: "none" | "llm" | "heuristic", tokens }
+// Env vars:
+// - QUERY_REWRITE_ENABLED   "false" to always search with the raw message (default true)
+// - QUERY_REWRITE_HISTORY   number of prior messages given to the rewriter (default 6)
+
+import llmClient from './llmClient.js';
+import { truncateText } from '../utils/truncate.js';
+
+const ENABLED = (process.env.QUERY_REWRITE_ENABLED || 'true') !== 'false';
+const HISTORY = parseInt(process.env.QUERY_REWRITE_HISTORY || '6', 10);
+const MAX_OUTPUT_TOKENS = 128;
+const HISTORY_MESSAGE_CHARS = 600;
+
+const ORDINALS = {
+  first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5, last: -1,
+};
+// words that only make sense with earlier context
+const ANAPHORA_RE =
+  /\b(it|its|they|them|their|this|that|these|those|he|him|his|she|her|one|ones|there|then|same|above|previous|former|latter)\b|^(and|but|so|also|what about|how about|why|more|tell me more)\b/i;
+
+function lastByRole(history, role) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role === role && history[i].text) return String(history[i].text);
+  }
+  return '';
+}
+
+/** Items of the last numbered / bulleted list in `text` */
+function listItems(text) {
+  return String(text)
+    .split('\n')
+    .map((l) => l.match(/^\s*(?:\d+[.)]|[-*•])\s+(.+)$/))
+    .filter(Boolean)
+    .map((m) => m[1].replace(/\*\*/g, '').trim());
+}
+
+export function looksLikeFollowUp(message) {
+  const words = String(message).trim().split(/\s+/).filter(Boolean);
+  return words.length <= 4 || ANAPHORA_RE.test(String(message).trim());
+}
+
+/**
+ * Heuristic condensation (no LLM): resolve ordinals against the previous answer's
+ * list, and prefix the previous user question for topic continuity.
+ */
+export function heuristicRewrite(message, history = []) {
+  const prevQuestion = lastByRole(history, 'user');
+  const prevAnswer = lastByRole(history, 'assistant');
+  const parts = [];
+
+  const ord = String(message).toLowerCase().match(/\b(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|last)\b/);
+  if (ord && prevAnswer) {
+    const items = listItems(prevAnswer);
+    const n = ORDINALS[ord[1]];
+    const item = n === -1 ? items[items.length - 1] : items[n - 1];
+    if (item) parts.push(truncateText(item, 200));
+  }
+
+  if (prevQuestion) parts.push(truncateText(prevQuestion.replace(/\s+/g, ' ').trim(), 300));
+  parts.push(String(message).trim());
+  return parts.join(' ');
+}
+
+function rewritePrompt(message, history) {
+  const convo = history
+    .map((m) => `${String(m.role || 'user').toUpperCase()}: ${truncateText(String(m.text || '').replace(/\s+/g, ' ').trim(), HISTORY_MESSAGE_CHARS)}`)
+    .join('\n');
+  return [
+    'Rewrite the follow-up question as a standalone search query for a news archive.',
+    'Resolve pronouns and references ("it", "the second one", ...) using the conversation.',
+    'Reply with the query only: one line, no quotes, no explanation.',
+    '--- Conversation ---',
+    convo,
+    '--- Follow-up question ---',
+    String(message).trim(),
+  ].join('\n\n');
+}
+
+// -> { query, tokens }; tokens as reported by the provider, else estimated (~4 chars per token)
+async function llmRewrite(message, history, signal) {
+  const prompt = rewritePrompt(message, history);
+  let out = '';
+  const result = await llmClient.generateStream(
+    prompt,
+    { maxOutputTokens: MAX_OUTPUT_TOKENS, chunkSize: 1000, delayMs: 0, signal },
+    (chunk) => { out += chunk; }
+  );
+  const tokens = result.usage?.totalTokens ?? Math.ceil((prompt.length + out.length) / 4);
+  const line = out.split('\n').map((l) => l.trim()).find(Boolean) || '';
+  return { query: line.replace(/^["'`]+|["'`]+$/g, '').trim(), tokens };
+}
+
+/**
+ * tokenBudget(message)
+ * Most tokens one rewriteQuery call can spend (0 when it never calls the LLM).
+ */
+export function tokenBudget(message) {
+  if (!ENABLED || llmClient.isStubbed()) return 0;
+  // instructions and headings, then the history (role prefix and ellipsis per message)
+  const promptChars = 400 + HISTORY * (HISTORY_MESSAGE_CHARS + 16) + String(message).length;
+  return MAX_OUTPUT_TOKENS + Math.ceil(promptChars / 4);
+}
+
+/**
+ * rewriteQuery(message, history, { signal })
+ * history: prior messages ({ role, text }) NOT including `message` itself.
+ * signal: cancels the LLM call (the abort is rethrown, not papered over by the heuristic).
+ * `tokens` is what the LLM call used, to count against the caller's quota (0 without one).
+ */
+export async function rewriteQuery(message, history = [], { signal } = {}) {
+  const prior = (history || []).slice(-HISTORY);
+  if (!ENABLED || !prior.length || !looksLikeFollowUp(message)) {
+    return { query: message, method: 'none', tokens: 0 };
+  }
+
+  let tokens = 0;
+  if (!llmClient.isStubbed()) {
+    try {
+      const rewritten = await llmRewrite(message, prior, signal);
+      tokens = rewritten.tokens;
+      if (rewritten.query) return { query: rewritten.query, method: 'llm', tokens };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.warn('[queryRewriter] LLM rewrite failed, using heuristic:', e?.message || e);
+    }
+  }
+  return { query: heuristicRewrite(message, prior), method: 'heuristic', tokens };
+}
+
+export default { rewriteQuery, tokenBudget, heuristicRewrite, looksLikeFollowUp };
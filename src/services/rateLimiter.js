@@ -0,0 +1,170 @@
+// src/services/rateLimiter.js
+// Sliding-window request limits and daily token counters.
+// - hit(key, { limit, windowMs }): sliding log per key — a Redis sorted set of
+//   request timestamps updated atomically by a Lua script, so every instance sees
+//   the same counts. Without Redis (REDIS_URL unset or unreachable) the same
+//   algorithm runs in process memory.
+// - reserveTokens / addTokens / tokensUsed: per-user token totals for the current
+//   UTC day. A request reserves its worst case up front (atomically, so parallel
+//   requests cannot all slip under the quota) and settles to the usage the LLM
+//   provider reported afterwards.
+
+import { v4 as uuidv4 } from 'uuid';
+import { getRedis } from './redisClient.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// KEYS[1] = log key; ARGV = now, windowMs, limit, member
+// returns { allowed (0|1), remaining, retryAfterMs }
+const SLIDING_WINDOW_LUA = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+local count = redis.call('ZCARD', key)
+if count < limit then
+  redis.call('ZADD', key, now, ARGV[4])
+  redis.call('PEXPIRE', key, window)
+  return { 1, limit - count - 1, 0 }
+end
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { 0, 0, tonumber(oldest[2]) + window - now }
+`;
+
+// KEYS[1] = day total; ARGV = tokens, quota, ttl seconds
+// returns { reserved (0|1), total after the call }; a caller with nothing used yet
+// may always reserve, so a quota below one reservation still allows a request a day
+const RESERVE_TOKENS_LUA = `
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+local n = tonumber(ARGV[1])
+if used >= tonumber(ARGV[2]) or (used > 0 and used + n > tonumber(ARGV[2])) then
+  return { 0, used }
+end
+used = redis.call('INCRBY', KEYS[1], n)
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return { 1, used }
+`;
+const TOKENS_TTL_SECONDS = 2 * 24 * 3600;
+
+// in-memory fallback: key -> ascending timestamps; day key -> tokens
+const logs = new Map();
+const tokenTotals = new Map();
+
+function hitLocal(key, limit, windowMs, now) {
+  const log = (logs.get(key) || []).filter((t) => t > now - windowMs);
+  if (log.length < limit) {
+    log.push(now);
+    logs.set(key, log);
+    return { allowed: true, remaining: limit - log.length, retryAfterMs: 0 };
+  }
+  logs.set(key, log);
+  return { allowed: false, remaining: 0, retryAfterMs: log[0] + windowMs - now };
+}
+
+// drop idle logs so the fallback does not grow with every client ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, log] of logs) {
+    if (!log.length || log[log.length - 1] < now - DAY_MS) logs.delete(key);
+  }
+  const today = dayStamp();
+  for (const key of tokenTotals.keys()) {
+    if (!key.endsWith(today)) tokenTotals.delete(key);
+  }
+}, 60 * 1000).unref?.();
+
+/**
+ * hit(key, { limit, windowMs })
+ * Counts one request against `key`. Resolves { allowed, remaining, retryAfterMs };
+ * rejected requests are not counted.
+ */
+async function hit(key, { limit, windowMs }) {
+  const now = Date.now();
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const [allowed, remaining, retryAfterMs] = await redis.eval(
+        SLIDING_WINDOW_LUA,
+        1,
+        `ratelimit:${key}`,
+        now,
+        windowMs,
+        limit,
+        `${now}:${uuidv4()}`
+      );
+      return { allowed: allowed === 1, remaining, retryAfterMs: Math.max(retryAfterMs, 0) };
+    } catch (e) {
+      console.warn('[rateLimiter] redis limit check failed, using in-memory window:', e && e.message ? e.message : e);
+    }
+  }
+  return hitLocal(key, limit, windowMs, now);
+}
+
+function dayStamp(at = Date.now()) {
+  return new Date(at).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+const tokensKey = (userId, day = dayStamp()) => `quota:tokens:${userId}:${day}`;
+
+/** Milliseconds until the daily counters reset (UTC midnight) */
+function msUntilReset(now = Date.now()) {
+  return DAY_MS - (now % DAY_MS);
+}
+
+/**
+ * reserveTokens(userId, tokens, quota)
+ * Adds `tokens` to today's total unless that would pass `quota`. Resolves
+ * { reserved, used, day }; settle later with addTokens(userId, actual - tokens, day).
+ */
+async function reserveTokens(userId, tokens, quota) {
+  const n = Math.max(Math.ceil(Number(tokens) || 0), 0);
+  const day = dayStamp();
+  const key = tokensKey(userId, day);
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      const [reserved, used] = await redis.eval(RESERVE_TOKENS_LUA, 1, key, n, quota, TOKENS_TTL_SECONDS);
+      return { reserved: reserved === 1, used, day };
+    } catch (e) {
+      console.warn('[rateLimiter] redis token reservation failed, counting in memory:', e && e.message ? e.message : e);
+    }
+  }
+  const used = tokenTotals.get(key) || 0;
+  if (used >= quota || (used > 0 && used + n > quota)) return { reserved: false, used, day };
+  tokenTotals.set(key, used + n);
+  return { reserved: true, used: used + n, day };
+}
+
+/** Adds `tokens` (negative to give back part of a reservation) to the user's total for `day` (default today) */
+async function addTokens(userId, tokens, day = dayStamp()) {
+  const n = Math.ceil(Number(tokens) || 0);
+  if (!userId || !n) return;
+  const key = tokensKey(userId, day);
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      await redis.multi().incrby(key, n).expire(key, TOKENS_TTL_SECONDS).exec();
+      return;
+    } catch (e) {
+      console.warn('[rateLimiter] redis token count failed, counting in memory:', e && e.message ? e.message : e);
+    }
+  }
+  tokenTotals.set(key, Math.max((tokenTotals.get(key) || 0) + n, 0));
+}
+
+/** Tokens the user consumed today */
+async function tokensUsed(userId) {
+  const key = tokensKey(userId);
+  const redis = await getRedis();
+  if (redis) {
+    try {
+      return parseInt((await redis.get(key)) || '0', 10);
+    } catch (e) {
+      console.warn('[rateLimiter] redis token read failed:', e && e.message ? e.message : e);
+    }
+  }
+  return tokenTotals.get(key) || 0;
+}
+
+export default { hit, reserveTokens, addTokens, tokensUsed, msUntilReset };
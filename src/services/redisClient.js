@@ -0,0 +1,54 @@
+// src/services/redisClient.js
+// Shared Redis client for services other than sessionStore (locks, caches, limits).
+// Returns null when REDIS_URL is not set or Redis is unreachable, so callers can
+// fall back to in-process state.
+
+import Redis from 'ioredis';
+
+const REDIS_URL = (process.env.REDIS_URL || '').trim();
+
+let redis = null;
+let redisErrorLogged = false; // prevent spamming logs
+let connecting = null; // in-flight connect() shared by concurrent callers
+
+if (REDIS_URL) {
+  try {
+    redis = new Redis(REDIS_URL, {
+      maxRetriesPerRequest: 1,
+      lazyConnect: true,
+      connectTimeout: 5000,
+    });
+    redis.on('error', (e) => {
+      if (!redisErrorLogged) {
+        console.warn('[redisClient] Redis error:', e && e.message ? e.message : e);
+        redisErrorLogged = true;
+      }
+    });
+    redis.on('ready', () => {
+      redisErrorLogged = false;
+    });
+  } catch (e) {
+    console.warn('[redisClient] Failed to create Redis client:', e && e.message ? e.message : e);
+    redis = null;
+  }
+}
+
+/**
+ * getRedis()
+ * Connected ioredis client, or null when Redis is not configured / not reachable.
+ */
+export async function getRedis() {
+  if (!redis) return null;
+  if (redis.status === 'ready') return redis;
+  try {
+    if (!connecting && (redis.status === 'wait' || redis.status === 'end')) {
+      connecting = redis.connect().finally(() => { connecting = null; });
+    }
+    if (connecting) await connecting;
+  } catch (_) {
+    // 'error' handler already logged it
+  }
+  return redis.status === 'ready' ? redis : null;
+}
+
+export default { getRedis };
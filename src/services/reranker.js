@@ -0,0 +1,156 @@
+// src/services/reranker.js
+// Reranking stage between retrieval and prompt building.
+// rerank(query, hits, { strategy, topK }) -> best `topK` hits, each with a final
+// `score` and a `rankReason` string explaining where that score came from.
+// Strategies (RERANK_STRATEGY):
+// - "none"          keep retrieval order (default)
+// - "lexical"       local query/passage term-overlap scorer blended with retrieval rank
+// - "mmr"           maximal marginal relevance: relevance vs. redundancy with picked hits
+// - "cross-encoder" remote rerank API (Jina-compatible POST /v1/rerank)
+// Env vars:
+// - RERANK_CANDIDATES   hits over-fetched from retrieval before reranking (default 20)
+// - RERANK_MMR_LAMBDA   relevance/diversity trade-off for mmr (default 0.7)
+// - RERANK_API_URL / RERANK_API_KEY / RERANK_MODEL  cross-encoder endpoint
+
+import axios from 'axios';
+import { analyze } from './lexicalIndex.js';
+
+export const STRATEGY = (process.env.RERANK_STRATEGY || 'none').toLowerCase();
+export const CANDIDATES = parseInt(process.env.RERANK_CANDIDATES || '20', 10);
+const MMR_LAMBDA = parseFloat(process.env.RERANK_MMR_LAMBDA || '0.7');
+const RERANK_API_URL = process.env.RERANK_API_URL || 'https://api.jina.ai/v1/rerank';
+const RERANK_API_KEY = process.env.RERANK_API_KEY || process.env.JINA_API_KEY || '';
+const RERANK_MODEL = process.env.RERANK_MODEL || 'jina-reranker-v2-base-multilingual';
+
+const round = (x) => Math.round(x * 10000) / 10000;
+
+function termSet(text) {
+  return new Set(analyze(text));
+}
+
+/** Fraction of query terms present in the passage (title included) */
+function overlap(queryTerms, hit) {
+  if (!queryTerms.size) return 0;
+  const terms = termSet(`${hit.title || ''} ${hit.text || ''}`);
+  let n = 0;
+  for (const t of queryTerms) if (terms.has(t)) n += 1;
+  return n / queryTerms.size;
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter += 1;
+  return inter / (a.size + b.size - inter);
+}
+
+/* ----------------- Strategies ----------------- */
+
+function keepOrder(query, hits, topK) {
+  return hits.slice(0, topK).map((h, i) => ({
+    ...h,
+    rankReason: `retrieval rank ${i + 1} (score ${round(h.score ?? 0)})`,
+  }));
+}
+
+function lexicalRerank(query, hits, topK) {
+  const q = termSet(query);
+  return hits
+    .map((h, i) => {
+      const ov = overlap(q, h);
+      const prior = 1 / (i + 1); // keep some weight on the retrieval order
+      const score = 0.7 * ov + 0.3 * prior;
+      return {
+        ...h,
+        score: round(score),
+        rankReason: `lexical overlap ${round(ov)} of query terms, retrieval rank ${i + 1}`,
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+function mmrRerank(query, hits, topK) {
+  const q = termSet(query);
+  const pool = hits.map((h, i) => ({
+    hit: h,
+    terms: termSet(`${h.title || ''} ${h.text || ''}`),
+    relevance: 0.5 * overlap(q, h) + 0.5 / (i + 1),
+  }));
+  const picked = [];
+  while (picked.length < topK && pool.length) {
+    let bestIdx = 0;
+    let best = -Infinity;
+    let bestSim = 0;
+    pool.forEach((c, idx) => {
+      const sim = picked.length ? Math.max(...picked.map((p) => jaccard(c.terms, p.terms))) : 0;
+      const mmr = MMR_LAMBDA * c.relevance - (1 - MMR_LAMBDA) * sim;
+      if (mmr > best) {
+        best = mmr;
+        bestIdx = idx;
+        bestSim = sim;
+      }
+    });
+    const [c] = pool.splice(bestIdx, 1);
+    picked.push({
+      ...c,
+      hit: {
+        ...c.hit,
+        score: round(best),
+        rankReason: `mmr: relevance ${round(c.relevance)}, max similarity to picked ${round(bestSim)}`,
+      },
+    });
+  }
+  return picked.map((p) => p.hit);
+}
+
+async function crossEncoderRerank(query, hits, topK) {
+  if (!RERANK_API_KEY) throw new Error('cross-encoder reranking requires RERANK_API_KEY (or JINA_API_KEY)');
+  const resp = await axios.post(
+    RERANK_API_URL,
+    {
+      model: RERANK_MODEL,
+      query,
+      documents: hits.map((h) => `${h.title || ''}\n${h.text || ''}`.trim()),
+      top_n: topK,
+    },
+    {
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${RERANK_API_KEY}` },
+      timeout: 30000,
+    }
+  );
+  const results = resp.data?.results || [];
+  return results.slice(0, topK).map((r) => ({
+    ...hits[r.index],
+    score: round(r.relevance_score),
+    rankReason: `cross-encoder ${RERANK_MODEL} relevance ${round(r.relevance_score)}`,
+  }));
+}
+
+const STRATEGIES = {
+  none: keepOrder,
+  lexical: lexicalRerank,
+  mmr: mmrRerank,
+  'cross-encoder': crossEncoderRerank,
+};
+
+/**
+ * rerank(query, hits, { strategy, topK })
+ * Unknown strategies and cross-encoder failures fall back to the lexical scorer.
+ */
+export async function rerank(query, hits = [], { strategy = STRATEGY, topK = 4 } = {}) {
+  if (!hits.length) return [];
+  const fn = STRATEGIES[strategy];
+  if (!fn) {
+    console.warn(`[reranker] unknown RERANK_STRATEGY "${strategy}", using lexical`);
+    return lexicalRerank(query, hits, topK);
+  }
+  try {
+    return await fn(query, hits, topK);
+  } catch (e) {
+    console.warn(`[reranker] ${strategy} failed, using lexical:`, e?.message || e);
+    return lexicalRerank(query, hits, topK);
+  }
+}
+
+export default { rerank, STRATEGY, CANDIDATES };
@@ -13,6 +13,26 @@ const MAX_MESSAGES_REDIS = parseInt(process.env.MAX_MESSAGES_REDIS || '500', 10)
 const SESSIONS_ZSET = 'sessions:list';
 const messagesKey = (sessionId) => `session:messages:${sessionId}`;
 const metaKey = (sessionId) => `session:meta:${sessionId}`;
+// recency index per owner; sessions created before ownership existed stay in the global list
+const listKey = (userId) => (userId ? `${SESSIONS_ZSET}:${userId}` : SESSIONS_ZSET);
+
+// thrown when a session does not exist or belongs to another user (both look the same to the caller)
+export class SessionNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`session ${sessionId} not found`);
+    this.name = 'SessionNotFoundError';
+    this.sessionId = sessionId;
+  }
+}
+
+// thrown when a write cannot reach the store that owns the session (Postgres, or Redis in cache-only mode)
+export class SessionStoreUnavailableError extends Error {
+  constructor(cause) {
+    super('session storage is unavailable');
+    this.name = 'SessionStoreUnavailableError';
+    this.cause = cause;
+  }
+}
 
 // Redis: only create client if REDIS_URL provided
 let redis = null;
@@ -52,7 +72,8 @@ if (REDIS_URL) {
 // Lazy Prisma init. Prisma is optional — service still works with Redis-only.
 let prisma = null;
 async function tryInitPrisma() {
-  if (prisma) return;
+  // like getPrisma(): a generated client without a URL only fails on its first query
+  if (prisma || !process.env.DATABASE_URL) return;
   try {
     const mod = await import('@prisma/client');
     prisma = new mod.PrismaClient();
@@ -63,9 +84,42 @@ async function tryInitPrisma() {
   }
 }
 
+// (Re)index a session in its owner's recency list, scored by its updatedAt — the
+// same recency Postgres orders by (owner and updatedAt read from meta when not given)
+async function touchSession(sessionId, userId, updatedAt) {
+  let owner = userId;
+  let at = updatedAt;
+  if (owner === undefined || at === undefined) {
+    const [metaOwner, metaAt] = await redis.hmget(metaKey(sessionId), 'userId', 'updatedAt');
+    if (owner === undefined) owner = metaOwner;
+    if (at === undefined) at = metaAt;
+  }
+  await redis.zadd(listKey(owner), new Date(at).getTime() || Date.now(), sessionId);
+  await redis.expire(listKey(owner), TTL);
+}
+
+// Caches the meta of a session that was just created; false (nothing written) when a
+// meta hash already holds that id — an existing session's owner is never replaced
+async function writeNewMeta(sid, opts, createdAt) {
+  if (!(await redis.hsetnx(metaKey(sid), 'id', sid))) return false;
+  await redis.hset(metaKey(sid), {
+    title: opts.title || '',
+    createdAt: createdAt.toISOString(),
+    updatedAt: createdAt.toISOString(),
+    msgCount: 0,
+    userId: opts.userId || '',
+  });
+  await redis.expire(metaKey(sid), TTL);
+  await touchSession(sid, opts.userId, createdAt);
+  return true;
+}
+
+// pinned sessions ahead of the others (Array#sort is stable, so recency order is kept)
+const pinnedFirst = (a, b) => Number(b.pinned) - Number(a.pinned);
+
 // Utility: normalize createSession args
 function normalizeCreateArgs(arg1, arg2) {
-  if (typeof arg1 === 'object' && arg1 !== null && !arg2) return { id: null, opts: arg1 };
+  if (typeof arg1 === 'object' && arg1 !== null) return { id: arg1.id || null, opts: arg1 };
   if (typeof arg1 === 'string') return { id: arg1, opts: arg2 || {} };
   return { id: null, opts: arg2 || {} };
 }
@@ -91,7 +145,8 @@ const store = {
 
   /**
    * createSession(arg?, opts?)
-   * Returns created session id (string).
+   * Returns created session id (string). Throws SessionNotFoundError when the
+   * id is already taken (existing sessions are never adopted or overwritten).
    */
   async createSession(arg1 = null, arg2 = {}) {
     const { id, opts } = normalizeCreateArgs(arg1, arg2);
@@ -102,27 +157,19 @@ const store = {
     await tryInitPrisma();
     if (prisma) {
       try {
-        await prisma.session.upsert({
-          where: { id: sid },
-          update: {},
-          create: {
+        // create, not upsert: an id that is taken must not be adopted
+        await prisma.session.create({
+          data: {
             id: sid,
+            userId: opts.userId || null,
+            title: opts.title || null,
             createdAt,
           },
         });
 
         if (redis) {
           try {
-            await redis.hset(metaKey(sid), {
-              id: sid,
-              title: opts.title || '',
-              createdAt: createdAt.toISOString(),
-              updatedAt: createdAt.toISOString(),
-              msgCount: 0,
-            });
-            await redis.expire(metaKey(sid), TTL);
-            await redis.zadd(SESSIONS_ZSET, Date.now(), sid);
-            await redis.expire(SESSIONS_ZSET, TTL);
+            await writeNewMeta(sid, opts, createdAt);
           } catch (_) {
             // ignore redis population errors
           }
@@ -131,30 +178,27 @@ const store = {
         console.log(`[sessionStore] createSession: created session ${sid} persisted in Postgres.`);
         return sid;
       } catch (e) {
-        console.warn('[sessionStore] createSession: prisma upsert failed, falling back to cache-only:', e && e.message ? e.message : e);
+        // P2002: unique constraint — the id belongs to an existing session
+        if (e && e.code === 'P2002') throw new SessionNotFoundError(sid);
+        console.warn('[sessionStore] createSession: prisma create failed, falling back to cache-only:', e && e.message ? e.message : e);
       }
     }
 
     // Redis-only path
     if (redis) {
+      let created;
       try {
         // ensure connection
         try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
-        await redis.hset(metaKey(sid), {
-          id: sid,
-          title: opts.title || '',
-          createdAt: createdAt.toISOString(),
-          updatedAt: createdAt.toISOString(),
-          msgCount: 0,
-        });
-        await redis.expire(metaKey(sid), TTL);
-        await redis.zadd(SESSIONS_ZSET, Date.now(), sid);
-        await redis.expire(SESSIONS_ZSET, TTL);
-        console.log(`[sessionStore] createSession: created session ${sid} in Redis (cache-only).`);
-        return sid;
+        created = await writeNewMeta(sid, opts, createdAt);
       } catch (e) {
         if (!redisErrorLogged) console.warn('[sessionStore] createSession: redis write failed:', e && e.message ? e.message : e);
       }
+      if (created === false) throw new SessionNotFoundError(sid);
+      if (created) {
+        console.log(`[sessionStore] createSession: created session ${sid} in Redis (cache-only).`);
+        return sid;
+      }
     }
 
     // If no storage available, return id (volatile)
@@ -173,20 +217,27 @@ const store = {
       text: String(message.text || ''),
       ts: message.ts ? new Date(message.ts).toISOString() : new Date().toISOString(),
     };
+    // generation stopped before completion (client disconnected or /chat/:id/stop)
+    if (message.aborted) msg.aborted = true;
 
-    // Persist to DB first (best-effort) using Transcript model
+    // Persist to DB first (best-effort) using Transcript model; the session's
+    // updatedAt moves with it, since listSessions orders by it
     await tryInitPrisma();
     if (prisma) {
       try {
-        await prisma.transcript.create({
-          data: {
-            id: msg.id,
-            sessionId,
-            role: msg.role,
-            content: msg.text,
-            createdAt: new Date(msg.ts),
-          },
-        });
+        await prisma.$transaction([
+          prisma.transcript.create({
+            data: {
+              id: msg.id,
+              sessionId,
+              role: msg.role,
+              content: msg.text,
+              aborted: Boolean(msg.aborted),
+              createdAt: new Date(msg.ts),
+            },
+          }),
+          prisma.session.update({ where: { id: sessionId }, data: { updatedAt: new Date(msg.ts) } }),
+        ]);
       } catch (e) {
         console.warn('[sessionStore] appendMessage: prisma write failed (continuing):', e && e.message ? e.message : e);
       }
@@ -204,11 +255,10 @@ const store = {
 
         const mkey = metaKey(sessionId);
         await redis.hincrby(mkey, 'msgCount', 1);
-        await redis.hset(mkey, 'updatedAt', new Date().toISOString());
+        await redis.hset(mkey, 'updatedAt', msg.ts);
         await redis.expire(mkey, TTL);
 
-        await redis.zadd(SESSIONS_ZSET, Date.now(), sessionId);
-        await redis.expire(SESSIONS_ZSET, TTL);
+        await touchSession(sessionId, undefined, msg.ts);
 
         console.log(`[sessionStore] appendMessage: pushed to Redis for session ${sessionId}`);
         return { sessionId, message: msg };
@@ -236,8 +286,7 @@ const store = {
           const parsed = items.map((s) => JSON.parse(s));
           await redis.expire(messagesKey(sessionId), TTL);
           await redis.expire(metaKey(sessionId), TTL);
-          await redis.zadd(SESSIONS_ZSET, Date.now(), sessionId);
-          await redis.expire(SESSIONS_ZSET, TTL);
+          await touchSession(sessionId);
           console.log(`[sessionStore] getMessages: HIT Redis for ${sessionId} (returned ${parsed.length})`);
           return parsed;
         }
@@ -250,19 +299,27 @@ const store = {
     await tryInitPrisma();
     if (prisma) {
       try {
-        const rows = await prisma.transcript.findMany({
-          where: { sessionId },
-          orderBy: { createdAt: 'asc' },
-        });
+        const [rows, session] = await Promise.all([
+          prisma.transcript.findMany({
+            where: { sessionId },
+            orderBy: { createdAt: 'asc' },
+          }),
+          prisma.session.findUnique({
+            where: { id: sessionId },
+            select: { userId: true, title: true, pinned: true, archived: true, createdAt: true, updatedAt: true },
+          }),
+        ]);
         const docs = rows.map((r) => ({
           id: r.id,
           role: r.role,
           text: r.content,
           ts: r.createdAt.toISOString(),
+          ...(r.aborted ? { aborted: true } : {}),
         }));
 
         // populate redis for future reads
         if (redis && docs.length) {
+          const updatedAt = session?.updatedAt?.toISOString?.() || docs[docs.length - 1].ts;
           try {
             try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
             await redis.del(messagesKey(sessionId));
@@ -271,14 +328,16 @@ const store = {
             await redis.expire(messagesKey(sessionId), TTL);
             await redis.hset(metaKey(sessionId), {
               id: sessionId,
-              title: '',
+              title: session?.title || '',
               msgCount: String(docs.length),
-              createdAt: docs[0]?.ts || new Date().toISOString(),
-              updatedAt: docs[docs.length - 1]?.ts || new Date().toISOString(),
+              createdAt: session?.createdAt?.toISOString?.() || docs[0]?.ts || new Date().toISOString(),
+              updatedAt,
+              userId: session?.userId || '',
+              pinned: session?.pinned ? '1' : '0',
+              archived: session?.archived ? '1' : '0',
             });
             await redis.expire(metaKey(sessionId), TTL);
-            await redis.zadd(SESSIONS_ZSET, Date.now(), sessionId);
-            await redis.expire(SESSIONS_ZSET, TTL);
+            await touchSession(sessionId, session?.userId, updatedAt);
           } catch (_) {
             // ignore population errors
           }
@@ -297,37 +356,19 @@ const store = {
   },
 
   /**
-   * listSessions(limit)
+   * listSessions(limit, { userId, archived })
+   * Sessions owned by userId that are (archived = true) or are not archived,
+   * pinned ones first, then by updatedAt (last message or edit), newest first.
+   * Postgres holds every session, so it answers when configured; the Redis index
+   * only covers sessions touched within the TTL and is used without Postgres.
    */
-  async listSessions(limit = 200) {
-    if (redis) {
-      try {
-        try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
-        const ids = await redis.zrevrange(SESSIONS_ZSET, 0, limit - 1);
-        if (ids && ids.length) {
-          const pipe = redis.pipeline();
-          ids.forEach((id) => pipe.hgetall(metaKey(id)));
-          const results = (await pipe.exec()).map((r) => r[1] || {});
-          const metas = results.map((m) => ({
-            id: m.id,
-            title: m.title || null,
-            createdAt: m.createdAt || null,
-            updatedAt: m.updatedAt || null,
-            msgCount: parseInt(m.msgCount || '0', 10),
-          }));
-          console.log(`[sessionStore] listSessions: HIT Redis (returned ${metas.length})`);
-          return metas;
-        }
-      } catch (e) {
-        if (!redisErrorLogged) console.warn('[sessionStore] listSessions: redis error (falling back):', e && e.message ? e.message : e);
-      }
-    }
-
+  async listSessions(limit = 200, { userId = null, archived = false } = {}) {
     await tryInitPrisma();
     if (prisma) {
       try {
         const sessions = await prisma.session.findMany({
-          orderBy: { createdAt: 'desc' },
+          where: { userId: userId || null, archived },
+          orderBy: [{ pinned: 'desc' }, { updatedAt: 'desc' }],
           take: limit,
           include: { _count: { select: { transcripts: true } } },
         });
@@ -342,12 +383,15 @@ const store = {
                 title: s.title || '',
                 msgCount: String(s._count?.transcripts || 0),
                 createdAt: s.createdAt?.toISOString?.() || '',
-                updatedAt: s.createdAt?.toISOString?.() || '',
+                updatedAt: s.updatedAt?.toISOString?.() || '',
+                userId: s.userId || '',
+                pinned: s.pinned ? '1' : '0',
+                archived: s.archived ? '1' : '0',
               });
               pipe.expire(metaKey(s.id), TTL);
-              pipe.zadd(SESSIONS_ZSET, new Date(s.createdAt).getTime() || Date.now(), s.id);
+              pipe.zadd(listKey(userId), new Date(s.updatedAt).getTime() || Date.now(), s.id);
             });
-            pipe.expire(SESSIONS_ZSET, TTL);
+            pipe.expire(listKey(userId), TTL);
             await pipe.exec();
           } catch (_) {}
         }
@@ -356,13 +400,45 @@ const store = {
           id: s.id,
           title: s.title || null,
           createdAt: s.createdAt,
-          updatedAt: s.createdAt,
+          updatedAt: s.updatedAt,
           msgCount: s._count?.transcripts || 0,
+          pinned: s.pinned,
+          archived: s.archived,
         }));
         console.log(`[sessionStore] listSessions: Served from Postgres (returned ${out.length})`);
         return out;
       } catch (e) {
-        console.warn('[sessionStore] listSessions: prisma read failed:', e && e.message ? e.message : e);
+        console.warn('[sessionStore] listSessions: prisma read failed (falling back to Redis):', e && e.message ? e.message : e);
+      }
+    }
+
+    if (redis) {
+      try {
+        try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
+        // the whole index: pinned or archived sessions may sit anywhere in recency order
+        const ids = await redis.zrevrange(listKey(userId), 0, -1);
+        const pipe = redis.pipeline();
+        ids.forEach((id) => pipe.hgetall(metaKey(id)));
+        const results = ids.length ? (await pipe.exec()).map((r) => r[1] || {}) : [];
+        const metas = results
+          // expired meta, or a stale entry for a session that changed hands
+          .filter((m) => m.id && (m.userId || null) === (userId || null))
+          .filter((m) => (m.archived === '1') === archived)
+          .map((m) => ({
+            id: m.id,
+            title: m.title || null,
+            createdAt: m.createdAt || null,
+            updatedAt: m.updatedAt || null,
+            msgCount: parseInt(m.msgCount || '0', 10),
+            pinned: m.pinned === '1',
+            archived: m.archived === '1',
+          }))
+          .sort(pinnedFirst)
+          .slice(0, limit);
+        console.log(`[sessionStore] listSessions: served from Redis (returned ${metas.length})`);
+        return metas;
+      } catch (e) {
+        if (!redisErrorLogged) console.warn('[sessionStore] listSessions: redis error:', e && e.message ? e.message : e);
       }
     }
 
@@ -390,9 +466,10 @@ const store = {
     if (redis) {
       try {
         try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
+        const owner = await redis.hget(metaKey(sessionId), 'userId');
         await redis.del(messagesKey(sessionId));
         await redis.del(metaKey(sessionId));
-        await redis.zrem(SESSIONS_ZSET, sessionId);
+        await redis.zrem(listKey(owner), sessionId);
         console.log(`[sessionStore] deleteSession: removed ${sessionId} from Redis`);
       } catch (e) {
         if (!redisErrorLogged) console.warn('[sessionStore] deleteSession: redis delete failed:', e && e.message ? e.message : e);
@@ -402,6 +479,60 @@ const store = {
     return { ok: true, id: sessionId };
   },
 
+  /**
+   * updateSession(sessionId, { title?, pinned?, archived? })
+   * Writes the given fields to Postgres and to the cached Redis meta; returns the
+   * updated meta (see getSessionMeta). Throws SessionNotFoundError when there is
+   * no such session and SessionStoreUnavailableError when the write failed.
+   */
+  async updateSession(sessionId, changes = {}) {
+    const data = {};
+    for (const field of ['title', 'pinned', 'archived']) {
+      if (changes[field] !== undefined) data[field] = changes[field];
+    }
+
+    // Postgres bumps updatedAt (@updatedAt) on any edit; the cached meta follows
+    let updatedAt = new Date();
+    await tryInitPrisma();
+    if (prisma) {
+      try {
+        ({ updatedAt } = await prisma.session.update({ where: { id: sessionId }, data }));
+      } catch (e) {
+        // P2025: no row to update
+        if (e && e.code === 'P2025') throw new SessionNotFoundError(sessionId);
+        console.warn('[sessionStore] updateSession: prisma update failed:', e && e.message ? e.message : e);
+        throw new SessionStoreUnavailableError(e);
+      }
+    }
+
+    if (redis) {
+      try {
+        try { if (redis.status !== 'ready') await redis.connect(); } catch (_) {}
+        // an uncached session gets its meta rebuilt from Postgres on the next read;
+        // without Postgres the meta is the session, so a missing one means no session
+        if (await redis.exists(metaKey(sessionId))) {
+          const hash = {};
+          if ('title' in data) hash.title = data.title;
+          if ('pinned' in data) hash.pinned = data.pinned ? '1' : '0';
+          if ('archived' in data) hash.archived = data.archived ? '1' : '0';
+          hash.updatedAt = updatedAt.toISOString();
+          await redis.hset(metaKey(sessionId), hash);
+          await touchSession(sessionId, undefined, updatedAt);
+        } else if (!prisma) {
+          throw new SessionNotFoundError(sessionId);
+        }
+      } catch (e) {
+        if (e instanceof SessionNotFoundError) throw e;
+        if (!redisErrorLogged) console.warn('[sessionStore] updateSession: redis write failed:', e && e.message ? e.message : e);
+        if (!prisma) throw new SessionStoreUnavailableError(e);
+        // Postgres has the change; drop the stale copy so the next read rebuilds it
+        try { await redis.del(metaKey(sessionId)); } catch (_) {}
+      }
+    }
+
+    return store.getSessionMeta(sessionId);
+  },
+
   /**
    * getSessionMeta(sessionId)
    */
@@ -412,14 +543,16 @@ const store = {
         const m = await redis.hgetall(metaKey(sessionId));
         if (m && Object.keys(m).length) {
           await redis.expire(metaKey(sessionId), TTL);
-          await redis.zadd(SESSIONS_ZSET, Date.now(), sessionId);
-          await redis.expire(SESSIONS_ZSET, TTL);
+          await touchSession(sessionId, m.userId, m.updatedAt);
           return {
             id: m.id,
             title: m.title || null,
+            userId: m.userId || null,
             msgCount: parseInt(m.msgCount || '0', 10),
             createdAt: m.createdAt || null,
             updatedAt: m.updatedAt || null,
+            pinned: m.pinned === '1',
+            archived: m.archived === '1',
           };
         }
       } catch (e) {
@@ -443,19 +576,24 @@ const store = {
               title: s.title || '',
               msgCount: String(s._count?.transcripts || 0),
               createdAt: s.createdAt?.toISOString?.() || '',
-              updatedAt: s.createdAt?.toISOString?.() || '',
+              updatedAt: s.updatedAt?.toISOString?.() || '',
+              userId: s.userId || '',
+              pinned: s.pinned ? '1' : '0',
+              archived: s.archived ? '1' : '0',
             });
             await redis.expire(metaKey(sessionId), TTL);
-            await redis.zadd(SESSIONS_ZSET, new Date(s.createdAt).getTime() || Date.now(), s.id);
-            await redis.expire(SESSIONS_ZSET, TTL);
+            await touchSession(s.id, s.userId, s.updatedAt);
           } catch (_) {}
         }
         return {
           id: s.id,
           title: s.title || null,
+          userId: s.userId || null,
           msgCount: s._count?.transcripts || 0,
           createdAt: s.createdAt,
-          updatedAt: s.createdAt,
+          updatedAt: s.updatedAt,
+          pinned: s.pinned,
+          archived: s.archived,
         };
       } catch (e) {
         console.warn('[sessionStore] getSessionMeta: prisma read failed:', e && e.message ? e.message : e);
@@ -464,6 +602,16 @@ const store = {
 
     return null;
   },
+
+  /**
+   * getOwnedSession(sessionId, userId)
+   * Session meta when it exists and belongs to userId; throws SessionNotFoundError otherwise.
+   */
+  async getOwnedSession(sessionId, userId) {
+    const meta = await store.getSessionMeta(sessionId);
+    if (!meta || (meta.userId || null) !== (userId || null)) throw new SessionNotFoundError(sessionId);
+    return meta;
+  },
 };
 
 export default store;
@@ -0,0 +1,224 @@
+// src/services/streamBuffer.js
+// Short-lived buffer of the SSE events of each chat generation, so a client that
+// lost its connection can reconnect with Last-Event-ID and catch up.
+// - Every generation is a stream with an id; its events are numbered 1, 2, 3, ...
+//   and sent with `id: <streamId>:<seq>`.
+// - Events are kept in process memory and written through to Redis (when
+//   configured) for SSE_BUFFER_TTL_SECONDS, so another instance can replay them.
+// - Readers of a stream running in this process get events pushed; readers of a
+//   stream running elsewhere poll Redis.
+// Env vars:
+// - SSE_BUFFER_TTL_SECONDS  how long events stay replayable (default 300)
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { getRedis } from './redisClient.js';
+import { formatEvent } from '../utils/sse.js';
+
+const TTL_SECONDS = parseInt(process.env.SSE_BUFFER_TTL_SECONDS || '300', 10);
+const POLL_MS = 250;
+// a reader marks itself present for this long; the writer checks it before giving up on a stream
+const FOLLOWER_TTL_MS = 5000;
+const TERMINAL_EVENTS = new Set(['done', 'error']);
+
+const eventsKey = (streamId) => `chat:stream:${streamId}:events`;
+const metaKey = (streamId) => `chat:stream:${streamId}:meta`;
+const followerKey = (streamId) => `chat:stream:${streamId}:follower`;
+const latestKey = (sessionId) => `chat:stream:session:${sessionId}`;
+
+// streams written by this process: streamId -> { sessionId, events, finished, emitter, followers }
+const local = new Map();
+// sessionId -> latest streamId, for the no-Redis case
+const latestLocal = new Map();
+
+/** "streamId:seq" -> { streamId, seq } (null when malformed) */
+export function parseEventId(value) {
+  const m = String(value || '').trim().match(/^([0-9a-f-]{36}):(\d+)$/i);
+  return m ? { streamId: m[1], seq: parseInt(m[2], 10) } : null;
+}
+
+async function redisWrite(fn) {
+  const redis = await getRedis();
+  if (!redis) return;
+  try {
+    await fn(redis);
+  } catch (e) {
+    console.warn('[streamBuffer] redis write failed:', e && e.message ? e.message : e);
+  }
+}
+
+/**
+ * createStream(sessionId)
+ * Returns a writer { id, append(event, data) -> entry, finish() } for one generation.
+ * append() numbers the event, stores it and notifies local readers synchronously;
+ * the Redis writes are chained so they land in order without delaying the caller.
+ */
+export function createStream(sessionId) {
+  const id = uuidv4();
+  const state = { sessionId, events: [], finished: false, emitter: new EventEmitter(), followers: 0 };
+  state.emitter.setMaxListeners(0);
+  local.set(id, state);
+  latestLocal.set(sessionId, id);
+
+  let pending = redisWrite(async (redis) => {
+    await redis
+      .multi()
+      .hset(metaKey(id), { sessionId, finished: '0', createdAt: new Date().toISOString() })
+      .expire(metaKey(id), TTL_SECONDS)
+      .set(latestKey(sessionId), id, 'EX', TTL_SECONDS)
+      .exec();
+  });
+
+  const expire = () => {
+    local.delete(id);
+    if (latestLocal.get(sessionId) === id) latestLocal.delete(sessionId);
+  };
+
+  return {
+    id,
+    append(event, data) {
+      const seq = state.events.length + 1;
+      const entry = { id: `${id}:${seq}`, seq, event, data };
+      state.events.push(entry);
+      if (TERMINAL_EVENTS.has(event)) state.finished = true;
+      state.emitter.emit('event', entry);
+      pending = pending.then(() =>
+        redisWrite(async (redis) => {
+          const multi = redis.multi().rpush(eventsKey(id), JSON.stringify(entry)).expire(eventsKey(id), TTL_SECONDS);
+          if (state.finished) multi.hset(metaKey(id), 'finished', '1');
+          await multi.exec();
+        })
+      );
+      return entry;
+    },
+    /** Stop accepting events; the buffer stays replayable for SSE_BUFFER_TTL_SECONDS */
+    async finish() {
+      state.finished = true;
+      state.emitter.emit('finish');
+      setTimeout(expire, TTL_SECONDS * 1000).unref?.();
+      await pending;
+    },
+  };
+}
+
+/**
+ * isFollowed(streamId)
+ * true while some client is reading the stream through resume() (any instance).
+ */
+export async function isFollowed(streamId) {
+  if (local.get(streamId)?.followers > 0) return true;
+  const redis = await getRedis();
+  if (!redis) return false;
+  try {
+    return (await redis.exists(followerKey(streamId))) === 1;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function markFollower(streamId) {
+  await redisWrite((redis) => redis.set(followerKey(streamId), '1', 'PX', FOLLOWER_TTL_MS));
+}
+
+/** Latest stream id of a session, or null */
+export async function latestStream(sessionId) {
+  if (latestLocal.has(sessionId)) return latestLocal.get(sessionId);
+  const redis = await getRedis();
+  if (!redis) return null;
+  try {
+    return await redis.get(latestKey(sessionId));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * readStream(streamId, afterSeq)
+ * { sessionId, finished, events: entries with seq > afterSeq }, or null when the
+ * stream is unknown or its buffer expired.
+ */
+export async function readStream(streamId, afterSeq = 0) {
+  const state = local.get(streamId);
+  if (state) {
+    return { sessionId: state.sessionId, finished: state.finished, events: state.events.filter((e) => e.seq > afterSeq) };
+  }
+  const redis = await getRedis();
+  if (!redis) return null;
+  try {
+    const [meta, raw] = await Promise.all([redis.hgetall(metaKey(streamId)), redis.lrange(eventsKey(streamId), afterSeq, -1)]);
+    if (!meta || !meta.sessionId) return null;
+    const events = raw.map((s) => JSON.parse(s)).filter((e) => e.seq > afterSeq);
+    return { sessionId: meta.sessionId, finished: meta.finished === '1', events };
+  } catch (e) {
+    console.warn('[streamBuffer] redis read failed:', e && e.message ? e.message : e);
+    return null;
+  }
+}
+
+/**
+ * resume(streamId, afterSeq, write, signal)
+ * Replays events after `afterSeq` through write(sseText), then keeps writing new
+ * ones until the stream's terminal event (done | error) or until `signal` aborts.
+ * Resolves true when the terminal event was written.
+ */
+export async function resume(streamId, afterSeq, write, signal) {
+  const state = local.get(streamId);
+  if (state) {
+    state.followers += 1;
+    try {
+      return await followLocal(state, afterSeq, write, signal);
+    } finally {
+      state.followers -= 1;
+    }
+  }
+  return followRedis(streamId, afterSeq, write, signal);
+}
+
+function followLocal(state, afterSeq, write, signal) {
+  return new Promise((resolve) => {
+    let last = afterSeq;
+    let settled = false;
+    const settle = (value) => {
+      if (settled) return;
+      settled = true;
+      state.emitter.off('event', onEvent);
+      state.emitter.off('finish', onEnd);
+      signal?.removeEventListener('abort', onEnd);
+      resolve(value);
+    };
+    function onEvent(entry) {
+      if (settled || entry.seq <= last) return;
+      last = entry.seq;
+      write(formatEvent(entry));
+      if (TERMINAL_EVENTS.has(entry.event)) settle(true);
+    }
+    function onEnd() {
+      settle(false);
+    }
+    state.emitter.on('event', onEvent);
+    state.emitter.on('finish', onEnd);
+    signal?.addEventListener('abort', onEnd, { once: true });
+    // replay what was missed; live events arrive through the listener afterwards
+    for (const entry of state.events) onEvent(entry);
+    if (state.finished) onEnd();
+  });
+}
+
+async function followRedis(streamId, afterSeq, write, signal) {
+  let last = afterSeq;
+  while (!signal?.aborted) {
+    await markFollower(streamId);
+    const snapshot = await readStream(streamId, last);
+    if (!snapshot) return false;
+    for (const entry of snapshot.events) {
+      last = entry.seq;
+      write(formatEvent(entry));
+      if (TERMINAL_EVENTS.has(entry.event)) return true;
+    }
+    if (snapshot.finished) return false;
+    await new Promise((r) => setTimeout(r, POLL_MS));
+  }
+  return false;
+}
+
+export default { createStream, readStream, resume, latestStream, isFollowed, parseEventId };
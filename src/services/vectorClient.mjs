@@ -1,62 +1,589 @@
 // src/services/vectorClient.js
 import "dotenv/config";
+import crypto from 'crypto';
 import { QdrantClient } from '@qdrant/js-client-rest';
-import { embedTexts } from './embeddings.js';
-import { v4 as uuidv4 } from 'uuid';   // <--- add this
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { embedTexts, embedTextsDetailed, embeddingInfo } from './embeddings.js';
+import { v5 as uuidv5 } from 'uuid';
+import { normalizeTags, sourceKey, hostOf } from '../utils/searchFilters.js';
 
 const QDRANT_URL = process.env.QDRANT_URL || 'http://localhost:6333';
 const COLLECTION = process.env.QDRANT_COLLECTION || 'articles';
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY || '';
 
+// chunking applied by upsert (override per call via upsert(items, { chunkSize, chunkOverlap }))
+const CHUNK_SIZE = parseInt(process.env.INGEST_CHUNK_SIZE || '1200', 10);
+const CHUNK_OVERLAP = parseInt(process.env.INGEST_CHUNK_OVERLAP || '200', 10);
+
+// fixed namespace for point ids: uuidv5(`${docKey}#${chunkIndex}`, POINT_ID_NAMESPACE)
+const POINT_ID_NAMESPACE = '6f1c6f3e-8f55-4c55-9a43-2b1f0c7d9e21';
+
+// sidecar collection holding one metadata point per physical collection
+// (collection-level metadata is not available through the Qdrant client)
+const META_COLLECTION = process.env.QDRANT_META_COLLECTION || `${COLLECTION}__meta`;
+// how long a verified model/dimension check is trusted before the metadata is read again
+const META_CHECK_TTL_MS = 60 * 1000;
+
 const client = new QdrantClient({ url: QDRANT_URL, apiKey: QDRANT_API_KEY });
 
-async function ensureCollection(dim) {
-  const collections = await client.getCollections();
-  const exists = collections.collections.some((c) => c.name === COLLECTION);
+// bumped on every write from this process; lets derived indexes (lexical) notice changes
+let writeVersion = 0;
+
+// { key, collection, at } of the last successful compatibility check
+let verified = null;
+// model key -> promise of the check in progress, so concurrent callers share one
+const checking = new Map();
+
+/**
+ * EmbeddingMismatchError — the active embedding model/dimension differs from the one
+ * that produced the vectors in the collection. Run `npm run migrate:collection`.
+ */
+export class EmbeddingMismatchError extends Error {
+  constructor(message, { expected = null, actual = null, collection = null } = {}) {
+    super(message);
+    this.name = 'EmbeddingMismatchError';
+    this.expected = expected;
+    this.actual = actual;
+    this.collection = collection;
+  }
+}
+
+function metaPointId(collection) {
+  return uuidv5(`collection:${collection}`, POINT_ID_NAMESPACE);
+}
+
+/**
+ * resolveCollection(name)
+ * Physical collection behind `name`: the alias target, `name` itself when it is a
+ * plain collection (created before versioned collections), or null when neither exists.
+ */
+async function resolveCollection(name = COLLECTION) {
+  const { aliases } = await client.getAliases();
+  const alias = aliases.find((a) => a.alias_name === name);
+  if (alias) return alias.collection_name;
+  const { exists } = await client.collectionExists(name);
+  return exists ? name : null;
+}
+
+/** { collection, provider, model, dim, createdAt, ... } recorded for a physical collection, or null */
+async function getCollectionMeta(collection) {
+  try {
+    const [point] = await client.retrieve(META_COLLECTION, {
+      ids: [metaPointId(collection)],
+      with_payload: true,
+      with_vector: false,
+    });
+    return point?.payload || null;
+  } catch (e) {
+    if (e?.status === 404) return null;
+    throw e;
+  }
+}
+
+async function setCollectionMeta(collection, meta) {
+  const { exists } = await client.collectionExists(META_COLLECTION);
   if (!exists) {
-    console.log(`Creating collection "${COLLECTION}" with dim=${dim}...`);
-    await client.createCollection(COLLECTION, {
-      vectors: {
-        size: dim,
-        distance: 'Cosine',
+    await client.createCollection(META_COLLECTION, { vectors: { size: 1, distance: 'Dot' } });
+  }
+  const payload = { collection, createdAt: new Date().toISOString(), ...meta };
+  await client.upsert(META_COLLECTION, {
+    wait: true,
+    points: [{ id: metaPointId(collection), vector: [1], payload }],
+  });
+  return payload;
+}
+
+// docKey/chunkIndex back the orphan cleanup filter in upsert, articleId the document API,
+// the rest the retrieval filters (src/utils/searchFilters.js)
+const PAYLOAD_INDEXES = [
+  ['docKey', 'keyword'],
+  ['articleId', 'keyword'],
+  ['chunkIndex', 'integer'],
+  ['sourceKey', 'keyword'],
+  ['host', 'keyword'],
+  ['publishedAt', 'datetime'],
+  ['tags', 'keyword'],
+];
+
+// physical collections whose indexes were checked by this process
+const indexedCollections = new Set();
+
+/** Create any missing payload index (collections created before a field was indexed) */
+async function ensurePayloadIndexes(collection) {
+  if (indexedCollections.has(collection)) return;
+  const info = await client.getCollection(collection);
+  const existing = info.payload_schema || {};
+  for (const [field, schema] of PAYLOAD_INDEXES) {
+    if (existing[field]) continue;
+    await client.createPayloadIndex(collection, { field_name: field, field_schema: schema, wait: true });
+  }
+  indexedCollections.add(collection);
+}
+
+function versionedName({ model, dim }) {
+  const slug = String(model || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return `${COLLECTION}_${slug}_${dim}_${stamp}`;
+}
+
+/**
+ * createVersionedCollection({ provider, model, dim })
+ * New physical collection named after the model and dimension, with payload
+ * indexes and metadata. Does not touch the alias; returns the collection name.
+ */
+async function createVersionedCollection(info) {
+  const name = versionedName(info);
+  console.log(`Creating collection "${name}" with dim=${info.dim} (${info.provider}/${info.model})...`);
+  await client.createCollection(name, {
+    vectors: {
+      size: info.dim,
+      distance: 'Cosine',
+    },
+  });
+  await ensurePayloadIndexes(name);
+  await setCollectionMeta(name, { provider: info.provider, model: info.model, dim: info.dim });
+  return name;
+}
+
+/**
+ * pointAlias(collection, { dropLegacy })
+ * Atomically points the QDRANT_COLLECTION alias at `collection`. When QDRANT_COLLECTION
+ * is still a plain collection it has to be deleted first (only with dropLegacy) —
+ * that single switch is not atomic.
+ */
+async function pointAlias(collection, { dropLegacy = false } = {}) {
+  const { aliases } = await client.getAliases();
+  const isAlias = aliases.some((a) => a.alias_name === COLLECTION);
+  if (!isAlias && (await client.collectionExists(COLLECTION)).exists) {
+    if (!dropLegacy) {
+      throw new Error(
+        `"${COLLECTION}" is a plain collection, not an alias; rerun with --drop-legacy to delete it and replace it with an alias`
+      );
+    }
+    console.warn(`[vectorClient] deleting legacy collection "${COLLECTION}" to replace it with an alias`);
+    await client.deleteCollection(COLLECTION);
+  }
+  const actions = [{ create_alias: { collection_name: collection, alias_name: COLLECTION } }];
+  if (isAlias) actions.unshift({ delete_alias: { alias_name: COLLECTION } });
+  await client.updateCollectionAliases({ actions });
+  verified = null;
+  writeVersion += 1;
+}
+
+async function dropCollection(collection) {
+  await client.deleteCollection(collection);
+  try {
+    await client.delete(META_COLLECTION, { wait: true, points: [metaPointId(collection)] });
+  } catch (_) {
+    // no metadata collection
+  }
+}
+
+/**
+ * ensureCollection(dim)
+ * Makes sure QDRANT_COLLECTION exists and was built with the active embedding model
+ * and dimension; throws EmbeddingMismatchError otherwise. A missing collection is
+ * created as a versioned collection behind the QDRANT_COLLECTION alias. A collection
+ * without metadata (created before it was tracked) is adopted when its vector size matches.
+ * Returns the physical collection name.
+ */
+async function ensureCollection(dim) {
+  const info = embeddingInfo();
+  const expected = { provider: info.provider, model: info.model, dim: dim ?? info.dim };
+  const key = `${expected.provider}|${expected.model}|${expected.dim}`;
+  if (verified && verified.key === key && Date.now() - verified.at < META_CHECK_TTL_MS) return verified.collection;
+
+  if (!checking.has(key)) {
+    checking.set(key, checkCollection(expected, key).finally(() => checking.delete(key)));
+  }
+  return checking.get(key);
+}
+
+/**
+ * First collection behind the QDRANT_COLLECTION alias. Another server instance may be
+ * doing the same: losing that race (collection "already exists", alias taken) is not
+ * an error, the winner's collection is used and ours is dropped.
+ */
+async function createAliasedCollection(expected) {
+  let created = null;
+  try {
+    created = await createVersionedCollection(expected);
+    await client.updateCollectionAliases({
+      actions: [{ create_alias: { collection_name: created, alias_name: COLLECTION } }],
+    });
+    return created;
+  } catch (e) {
+    let winner = await resolveCollection();
+    // the other instance may still be between creating its collection and the alias
+    for (let i = 0; !winner && i < 10; i++) {
+      await new Promise((r) => setTimeout(r, 300));
+      winner = await resolveCollection();
+    }
+    if (!winner) throw e;
+    if (created && created !== winner) {
+      try {
+        await dropCollection(created);
+      } catch (_) {
+        // left for a later cleanup; it is not behind the alias
+      }
+    }
+    console.warn(`[vectorClient] collection created concurrently elsewhere; using "${winner}"`);
+    return winner;
+  }
+}
+
+async function checkCollection(expected, key) {
+  let collection = await resolveCollection();
+  if (!collection) collection = await createAliasedCollection(expected);
+
+  let meta = await getCollectionMeta(collection);
+  if (!meta) {
+    const details = await client.getCollection(collection);
+    const size = details.config?.params?.vectors?.size ?? null;
+    if (size !== expected.dim) {
+      throw new EmbeddingMismatchError(
+        `Collection "${collection}" has dim=${size} but ${expected.provider}/${expected.model} produces dim=${expected.dim}; run \`npm run migrate:collection\``,
+        { expected, actual: { dim: size }, collection }
+      );
+    }
+    console.warn(`[vectorClient] collection "${collection}" has no embedding metadata; recording ${expected.model} (dim=${size})`);
+    meta = await setCollectionMeta(collection, { ...expected, adopted: true });
+  }
+
+  if (meta.model !== expected.model || meta.dim !== expected.dim) {
+    throw new EmbeddingMismatchError(
+      `Collection "${collection}" was built with ${meta.provider}/${meta.model} (dim=${meta.dim}) but the active embedding model is ${expected.provider}/${expected.model} (dim=${expected.dim}); run \`npm run migrate:collection\``,
+      { expected, actual: { provider: meta.provider, model: meta.model, dim: meta.dim }, collection }
+    );
+  }
+
+  await ensurePayloadIndexes(collection);
+  verified = { key, collection, at: Date.now() };
+  return collection;
+}
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex');
+}
+
+/**
+ * Stable identity of a document: its URL, else its Article id, else a hash of its text.
+ */
+function docKeyFor(item) {
+  if (item.url) return item.url;
+  if (item.articleId) return `article:${item.articleId}`;
+  return `sha256:${sha256(item.text || '')}`;
+}
+
+function pointIdFor(docKey, chunkIndex) {
+  return uuidv5(`${docKey}#${chunkIndex}`, POINT_ID_NAMESPACE);
+}
+
+/** Existing { contentHash, metaHash } per point id; empty when the collection does not exist yet */
+async function existingHashes(ids) {
+  const out = new Map();
+  if (!ids.length) return out;
+  try {
+    const points = await client.retrieve(COLLECTION, {
+      ids,
+      with_payload: ['contentHash', 'metaHash'],
+      with_vector: false,
+    });
+    for (const p of points) {
+      out.set(String(p.id), { contentHash: p.payload?.contentHash || null, metaHash: p.payload?.metaHash || null });
+    }
+  } catch (_) {
+    // collection missing — everything is new
+  }
+  return out;
+}
+
+/** Remove chunks left over from a longer previous version of the document */
+async function deleteOrphanChunks(docKey, chunkCount) {
+  try {
+    await client.delete(COLLECTION, {
+      wait: true,
+      filter: {
+        must: [
+          { key: 'docKey', match: { value: docKey } },
+          { key: 'chunkIndex', range: { gte: chunkCount } },
+        ],
       },
     });
+    writeVersion += 1;
+  } catch (e) {
+    console.warn('[vectorClient] orphan cleanup failed for', docKey, e?.message || e);
   }
 }
 
-async function upsert(items = []) {
-  if (!Array.isArray(items) || items.length === 0) return;
+/**
+ * Split one document into chunk texts. Short documents come back as a single chunk.
+ */
+async function splitText(text, { chunkSize = CHUNK_SIZE, chunkOverlap = CHUNK_OVERLAP } = {}) {
+  const clean = String(text || '').trim();
+  if (!clean) return [];
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  return splitter.splitText(clean);
+}
 
-  const vectors = await embedTexts(items.map((x) => x.text));
+function toIsoOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
 
-  const points = items.map((item, i) => ({
-    id: item.id || uuidv4(),   // ✅ generate UUID if none provided
-    vector: vectors[i],
-    payload: {
-      text: item.text,
+/**
+ * upsert(items, opts)
+ * items: [{ text, title?, url?, articleId?, source?, publishedAt?, tags? }] — one entry per document.
+ * Each document is split into chunks; every chunk becomes one point whose payload
+ * carries the document metadata plus its `chunkIndex`.
+ *
+ * Idempotent: point ids are derived from the document key (url) and chunk index,
+ * and chunks beyond the new chunk count (the document shrank) are deleted. A chunk is
+ * re-embedded only when its text changed (contentHash = sha256 of the text); when only
+ * the document metadata changed (title, tags, chunk count ...) the payload is
+ * rewritten in place (metaHash covers the document-level fields).
+ * Chunks whose embedding batch failed are left out and reported; upserting the
+ * same documents again only embeds what is still missing.
+ * Throws EmbeddingMismatchError, before anything is written, when the collection was
+ * built with another embedding model or dimension.
+ * Returns { inserted, skipped, failed, errors: [{ start, count, attempts, error }] }.
+ */
+async function upsert(items = [], opts = {}) {
+  if (!Array.isArray(items) || items.length === 0) return;
+
+  const chunks = [];
+  const docs = [];
+  for (const item of items) {
+    const parts = await splitText(item.text, opts);
+    const docKey = docKeyFor(item);
+    // the same on every chunk of the document
+    const meta = {
       title: item.title || null,
       url: item.url || null,
-    },
-  }));
+      articleId: item.articleId || null,
+      docKey,
+      chunkCount: parts.length,
+      source: item.source || null,
+      sourceKey: sourceKey(item.source),
+      host: hostOf(item.url),
+      publishedAt: toIsoOrNull(item.publishedAt),
+      tags: normalizeTags(item.tags),
+    };
+    meta.metaHash = sha256(JSON.stringify(meta));
+    const doc = { docKey, chunkCount: parts.length, meta };
+    docs.push(doc);
+    parts.forEach((text, chunkIndex) => {
+      chunks.push({
+        id: pointIdFor(docKey, chunkIndex),
+        doc,
+        payload: { text, ...meta, chunkIndex, contentHash: sha256(text) },
+      });
+    });
+  }
+
+  // refuse a collection built with another model before reading hashes from it or
+  // writing to it (new vectors and relabels alike); an unknown dim is learnt from one chunk
+  const dim = embeddingInfo().dim ?? (chunks.length ? (await embedTexts([chunks[0].payload.text]))[0].length : null);
+  if (dim) await ensureCollection(dim);
+
+  const known = await existingHashes(chunks.map((c) => c.id));
+  const changed = chunks.filter((c) => known.get(c.id)?.contentHash !== c.payload.contentHash);
+  const relabeled = chunks.filter((c) => {
+    const prev = known.get(c.id);
+    return prev && prev.contentHash === c.payload.contentHash && prev.metaHash !== c.payload.metaHash;
+  });
+
+  let points = [];
+  let errors = [];
+  if (changed.length) {
+    const embedded = await embedTextsDetailed(changed.map((c) => c.payload.text));
+    errors = embedded.errors;
+    points = changed
+      .map((c, i) => ({ id: c.id, vector: embedded.vectors[i], payload: c.payload }))
+      .filter((p) => p.vector);
+    if (errors.length) {
+      console.warn(`[vectorClient] ${changed.length - points.length} chunks not embedded (${errors.length} failed batches)`);
+    }
+  }
+  if (points.length) {
+    await client.upsert(COLLECTION, { wait: true, points });
+    writeVersion += 1;
+  }
+
+  // same text, new metadata: rewrite the payload, keep the vector
+  for (const d of docs) {
+    const ids = relabeled.filter((c) => c.doc === d).map((c) => c.id);
+    if (!ids.length) continue;
+    await client.setPayload(COLLECTION, { wait: true, points: ids, payload: d.meta });
+    writeVersion += 1;
+  }
+
+  for (const d of docs) {
+    await deleteOrphanChunks(d.docKey, d.chunkCount);
+  }
 
-  await ensureCollection(vectors[0].length);
-  await client.upsert(COLLECTION, { points });
-  return { inserted: points.length };
+  return {
+    inserted: points.length,
+    skipped: chunks.length - changed.length,
+    failed: changed.length - points.length,
+    errors: errors.map((b) => ({ start: b.start, count: b.count, attempts: b.attempts, error: b.error })),
+  };
 }
 
-async function search(query, topK = 5) {
+/**
+ * search(query, topK, { filter })
+ * filter: optional Qdrant filter (see toQdrantFilter in src/utils/searchFilters.js)
+ */
+async function search(query, topK = 5, { filter } = {}) {
   const [vector] = await embedTexts([query]);
   await ensureCollection(vector.length);
   const result = await client.search(COLLECTION, {
     vector,
     limit: topK,
+    filter,
   });
-  return result.map((r) => ({
-    score: r.score,
+  return result.map((r) => ({ score: r.score, ...toHit(r) }));
+}
+
+function toHit(r) {
+  return {
+    id: r.id,
     text: r.payload.text,
     title: r.payload.title,
     url: r.payload.url,
-  }));
+    articleId: r.payload.articleId ?? null,
+    chunkIndex: r.payload.chunkIndex ?? null,
+    source: r.payload.source ?? null,
+    publishedAt: r.payload.publishedAt ?? null,
+    tags: r.payload.tags || [],
+  };
+}
+
+/**
+ * Qdrant filter matching every chunk of one document (by Article id and/or URL).
+ */
+function documentFilter({ articleId = null, url = null } = {}) {
+  const should = [];
+  if (articleId) should.push({ key: 'articleId', match: { value: articleId } });
+  if (url) should.push({ key: 'docKey', match: { value: url } });
+  if (!should.length) throw new Error('documentFilter: articleId or url is required');
+  return { should };
+}
+
+/**
+ * getChunks({ articleId?, url? })
+ * All chunks of one document ordered by chunkIndex; [] when the collection is missing.
+ */
+async function getChunks(doc, { limit = 1000 } = {}) {
+  const filter = documentFilter(doc);
+  const out = [];
+  let offset;
+  try {
+    do {
+      const page = await client.scroll(COLLECTION, {
+        filter,
+        limit: Math.min(256, limit - out.length),
+        offset,
+        with_payload: true,
+        with_vector: false,
+      });
+      out.push(...page.points.map(toHit));
+      offset = page.next_page_offset ?? undefined;
+    } while (offset !== undefined && out.length < limit);
+  } catch (e) {
+    if (e?.status === 404) return [];
+    throw e;
+  }
+  return out.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+}
+
+/**
+ * isIndexed(item)
+ * True when every chunk of the document ({ url } or { articleId }) is in the collection:
+ * its points carry the chunk count they were written with, so a partial write
+ * (some embedding batches failed) reads as not indexed.
+ */
+async function isIndexed(item) {
+  const filter = { must: [{ key: 'docKey', match: { value: docKeyFor(item) } }] };
+  try {
+    const { points } = await client.scroll(COLLECTION, { filter, limit: 1, with_payload: ['chunkCount'], with_vector: false });
+    const expected = points[0]?.payload?.chunkCount;
+    if (!expected) return false;
+    const { count } = await client.count(COLLECTION, { filter, exact: true });
+    return count === expected;
+  } catch (e) {
+    if (e?.status === 404) return false;
+    throw e;
+  }
+}
+
+/**
+ * deleteByFilter(filter)
+ * Deletes every point matching a Qdrant filter; returns { deleted } (count before delete).
+ */
+async function deleteByFilter(filter) {
+  let deleted = 0;
+  try {
+    deleted = (await client.count(COLLECTION, { filter, exact: true })).count;
+  } catch (e) {
+    if (e?.status === 404) return { deleted: 0 };
+    throw e;
+  }
+  if (deleted) {
+    await client.delete(COLLECTION, { wait: true, filter });
+    writeVersion += 1;
+  }
+  return { deleted };
+}
+
+/** Remove every chunk of one document ({ articleId?, url? }) */
+async function deleteDocument(doc) {
+  return deleteByFilter(documentFilter(doc));
+}
+
+/**
+ * scrollAll({ limit })
+ * Every chunk in the collection (payload only, no vectors), up to `limit`.
+ */
+async function scrollAll({ limit = 20000 } = {}) {
+  const out = [];
+  let offset;
+  try {
+    do {
+      const page = await client.scroll(COLLECTION, {
+        limit: Math.min(512, limit - out.length),
+        offset,
+        with_payload: true,
+        with_vector: false,
+      });
+      out.push(...page.points.map(toHit));
+      offset = page.next_page_offset ?? undefined;
+    } while (offset !== undefined && out.length < limit);
+  } catch (e) {
+    if (e?.status === 404) return [];
+    throw e;
+  }
+  return out;
+}
+
+/**
+ * scrollPoints(collection, { offset, limit })
+ * One page of raw points (payload, no vectors) from a physical collection; used by migrations.
+ */
+async function scrollPoints(collection, { offset, limit = 128 } = {}) {
+  const page = await client.scroll(collection, { offset, limit, with_payload: true, with_vector: false });
+  return { points: page.points, nextOffset: page.next_page_offset ?? undefined };
+}
+
+/** Write already-embedded points ({ id, vector, payload }) into a physical collection */
+async function upsertPoints(collection, points) {
+  if (!points.length) return;
+  await client.upsert(collection, { wait: true, points });
+}
+
+function getWriteVersion() {
+  return writeVersion;
 }
 
 async function countVectors() {
@@ -70,7 +597,21 @@ async function countVectors() {
 
 export default {
   upsert,
+  splitText,
   search,
+  getChunks,
+  isIndexed,
+  deleteByFilter,
+  deleteDocument,
+  scrollAll,
+  getWriteVersion,
   countVectors,
   ensureCollection,
+  resolveCollection,
+  getCollectionMeta,
+  createVersionedCollection,
+  pointAlias,
+  dropCollection,
+  scrollPoints,
+  upsertPoints,
 };
@@ -4,6 +4,10 @@
 
 import { truncateText } from "./truncate.js";
 
+// conversation kept in the prompt: the last few messages, each cut to a length
+const HISTORY_MESSAGES = 8;
+const HISTORY_MESSAGE_CHARS = 800;
+
 const DEFAULT_SYSTEM = `You are a helpful assistant. 
 Use ONLY the information from the "Retrieved Passages" below to answer the user's question. 
 - If the requested information is present in the sources, answer concisely from the sources and elaborate it if necessary. Write the source in a new line (For Ex: Source : article link). 
@@ -16,26 +20,28 @@ export function buildPrompt({
   hits = [],
   question,
   maxContextChars = 5000,
+  maxSnippetChars = 1500,
 }) {
-  // format hits into a retrieval section
+  // format hits into a retrieval section; hits are chunks, so cite the passage number too
   const retrievals = hits
     .map((h, i) => {
       const title = h.title || `source-${i + 1}`;
-      const snippet = String(h.text || "").slice(0, 1000); // limit per snippet
+      const passage = Number.isInteger(h.chunkIndex) ? ` (passage ${h.chunkIndex + 1})` : "";
+      const snippet = String(h.text || "").slice(0, maxSnippetChars); // limit per snippet
       const url = h.url || "";
-      return `### Source: ${title}\n${snippet}\nURL: ${url}\n`;
+      return `### Source: ${title}${passage}\n${snippet}\nURL: ${url}\n`;
     })
     .join("\n");
 
   // format recent messages (keep last few)
   const convo = recentMessages
-    .slice(-8)
+    .slice(-HISTORY_MESSAGES)
     .map((m) => {
       const role = m.role || "user";
       const txt = String(m.text || "")
         .replace(/\s+/g, " ")
         .trim();
-      return `${role.toUpperCase()}: ${truncateText(txt, 800)}`;
+      return `${role.toUpperCase()}: ${truncateText(txt, HISTORY_MESSAGE_CHARS)}`;
     })
     .join("\n");
 
@@ -72,3 +78,14 @@ export function buildPrompt({
   }
   return full;
 }
+
+/**
+ * maxPromptChars({ question, maxContextChars, system })
+ * Upper bound on the length of buildPrompt's result: only the passages are cut to
+ * maxContextChars, so a long conversation can push the prompt past it.
+ */
+export function maxPromptChars({ question = "", maxContextChars = 5000, system = DEFAULT_SYSTEM } = {}) {
+  // role prefix, ellipsis and newline per message; section headings
+  const history = HISTORY_MESSAGES * (HISTORY_MESSAGE_CHARS + 16);
+  return Math.max(maxContextChars, system.length + history + String(question).length + 100);
+}
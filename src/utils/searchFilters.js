@@ -0,0 +1,146 @@
+// src/utils/searchFilters.js
+// Retrieval filters accepted by POST /chat:
+//   { sources?: string[], publishedAfter?: string, publishedBefore?: string, tags?: string[] }
+// parseFilters() validates and normalizes them; toQdrantFilter() turns them into a
+// Qdrant filter on the indexed payload fields (sourceKey, host, publishedAt, tags);
+// matchesFilters() applies the same rules to hits from the lexical index.
+
+const FILTER_KEYS = ['sources', 'publishedAfter', 'publishedBefore', 'tags'];
+const MAX_VALUES = 20;
+// relative dates: "7d" = seven days ago, "12h" = twelve hours ago
+const RELATIVE_RE = /^(\d+)\s*([hdw])$/i;
+const UNIT_MS = { h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+export class FilterValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'FilterValidationError';
+    this.details = details;
+  }
+}
+
+/** Lowercased, trimmed, de-duplicated tags (max 20) */
+export function normalizeTags(list) {
+  const out = [];
+  for (const t of [].concat(list || [])) {
+    const tag = String((t && typeof t === 'object' ? t._ || t.name : t) || '').trim().toLowerCase();
+    if (tag && tag.length <= 64 && !out.includes(tag)) out.push(tag);
+  }
+  return out.slice(0, MAX_VALUES);
+}
+
+/** Case-insensitive key a source name is matched on */
+export function sourceKey(source) {
+  return String(source || '').trim().toLowerCase() || null;
+}
+
+/** Hostname without "www.", used to match a source given as a domain */
+export function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const rel = value.trim().match(RELATIVE_RE);
+  if (rel) return new Date(Date.now() - Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()]);
+  return new Date(value);
+}
+
+/**
+ * parseFilters(raw)
+ * null when no filter applies, else { sources, tags, publishedAfter, publishedBefore }
+ * (ISO strings or null). Throws FilterValidationError listing every problem.
+ */
+export function parseFilters(raw) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new FilterValidationError('filters must be an object', ['filters must be an object']);
+  }
+
+  const details = [];
+  for (const k of Object.keys(raw)) {
+    if (!FILTER_KEYS.includes(k)) details.push(`unknown filter "${k}" (expected ${FILTER_KEYS.join(', ')})`);
+  }
+
+  const list = (name) => {
+    const v = raw[name];
+    if (v == null) return [];
+    const arr = typeof v === 'string' ? [v] : v;
+    if (!Array.isArray(arr) || arr.some((x) => typeof x !== 'string' || !x.trim())) {
+      details.push(`${name} must be a string or an array of non-empty strings`);
+      return [];
+    }
+    if (arr.length > MAX_VALUES) details.push(`${name} accepts at most ${MAX_VALUES} values`);
+    return arr;
+  };
+
+  const date = (name) => {
+    const v = raw[name];
+    if (v == null || v === '') return null;
+    const d = parseDate(v);
+    if (!d || Number.isNaN(d.getTime())) {
+      details.push(`${name} must be an ISO 8601 date or a relative age like "7d"`);
+      return null;
+    }
+    return d.toISOString();
+  };
+
+  const sources = [...new Set(list('sources').map(sourceKey))];
+  const tags = normalizeTags(list('tags'));
+  const publishedAfter = date('publishedAfter');
+  const publishedBefore = date('publishedBefore');
+  if (publishedAfter && publishedBefore && publishedAfter > publishedBefore) {
+    details.push('publishedAfter must not be later than publishedBefore');
+  }
+
+  if (details.length) throw new FilterValidationError(`invalid filters: ${details.join('; ')}`, details);
+  if (!sources.length && !tags.length && !publishedAfter && !publishedBefore) return null;
+  return { sources, tags, publishedAfter, publishedBefore };
+}
+
+/** Qdrant filter for parsed filters; undefined when nothing to filter */
+export function toQdrantFilter(filters) {
+  if (!filters) return undefined;
+  const must = [];
+  if (filters.sources.length) {
+    must.push({
+      should: [
+        { key: 'sourceKey', match: { any: filters.sources } },
+        { key: 'host', match: { any: filters.sources } },
+      ],
+    });
+  }
+  if (filters.publishedAfter || filters.publishedBefore) {
+    const range = {};
+    if (filters.publishedAfter) range.gte = filters.publishedAfter;
+    if (filters.publishedBefore) range.lte = filters.publishedBefore;
+    must.push({ key: 'publishedAt', range });
+  }
+  if (filters.tags.length) must.push({ key: 'tags', match: { any: filters.tags } });
+  return must.length ? { must } : undefined;
+}
+
+/** Same semantics as toQdrantFilter, for hits already in memory */
+export function matchesFilters(hit, filters) {
+  if (!filters) return true;
+  if (filters.sources.length) {
+    const keys = [sourceKey(hit.source), hostOf(hit.url)];
+    if (!keys.some((k) => k && filters.sources.includes(k))) return false;
+  }
+  if (filters.publishedAfter || filters.publishedBefore) {
+    if (!hit.publishedAt) return false;
+    const at = new Date(hit.publishedAt).toISOString();
+    if (filters.publishedAfter && at < filters.publishedAfter) return false;
+    if (filters.publishedBefore && at > filters.publishedBefore) return false;
+  }
+  if (filters.tags.length) {
+    const tags = hit.tags || [];
+    if (!filters.tags.some((t) => tags.includes(t))) return false;
+  }
+  return true;
+}
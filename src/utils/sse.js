@@ -0,0 +1,45 @@
+// src/utils/sse.js
+// Server-Sent Events framing shared by the chat routes.
+// Env vars:
+// - SSE_HEARTBEAT_MS  interval of `: ping` comments on open streams (default 15000, 0 = off)
+// - SSE_RETRY_MS      reconnect delay suggested to EventSource clients (default 3000)
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || "15000", 10);
+const RETRY_MS = parseInt(process.env.SSE_RETRY_MS || "3000", 10);
+
+/** SSE wire format of one event; `id` is optional */
+export function formatEvent({ id = null, event, data }) {
+  const idLine = id != null ? `id: ${id}\n` : "";
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * openSse(res)
+ * Sends the event-stream headers (with proxy buffering disabled, for nginx and
+ * hosted proxies such as Render's) and the `retry:` hint, and starts the heartbeat.
+ * Returns a function that stops the heartbeat; it also stops when the response closes.
+ */
+export function openSse(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  return startHeartbeat(res);
+}
+
+/**
+ * startHeartbeat(res)
+ * Writes a `: ping` comment every SSE_HEARTBEAT_MS so idle proxies keep the
+ * connection open during slow retrieval or model latency. Returns stop().
+ */
+export function startHeartbeat(res, intervalMs = HEARTBEAT_MS) {
+  if (!intervalMs || intervalMs <= 0) return () => {};
+  const timer = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(": ping\n\n");
+  }, intervalMs);
+  const stop = () => clearInterval(timer);
+  res.on("close", stop);
+  return stop;
+}